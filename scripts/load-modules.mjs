@@ -0,0 +1,14 @@
+// Loads app modules through Vite's SSR loader so their extensionless imports
+// resolve under plain Node. Returns the modules in the order given.
+import { createServer } from "vite";
+
+export async function loadModules(...paths) {
+  const vite = await createServer({
+    server: { middlewareMode: true, hmr: false }, appType: "custom", logLevel: "error",
+    optimizeDeps: { noDiscovery: true, include: [] },
+  });
+  const mods = [];
+  for (const p of paths) mods.push(await vite.ssrLoadModule(p));
+  await vite.close();
+  return mods;
+}
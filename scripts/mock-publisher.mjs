@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+// ─── MOCK TELEMETRY PUBLISHER ─────────────────────────
+// Replays the simulator over a WebSocket in the dashboard's telemetry schema,
+// for local development without real hardware.
+//
+//   node scripts/mock-publisher.mjs [--port 8765] [--rate 1] [--asset DRE100L4-01]
+//                                   [--fault bearing_outer:bearing_drive:1.2 ...]
+//
+// Then pick "WebSocket…" in the dashboard header and connect to ws://localhost:8765.
+
+import { parseArgs } from "node:util";
+import { WebSocketServer } from "ws";
+import { loadModules } from "./load-modules.mjs";
+
+const { values: args } = parseArgs({
+  options: {
+    port:  { type: "string", default: "8765" },
+    rate:  { type: "string", default: "1" },
+    asset: { type: "string" },
+    fault: { type: "string", multiple: true, default: [] },
+  },
+});
+
+const [{ createSampler }, { createFault }, { channelsOf }, { CHANNEL_UNITS, ASSET_ID }] = await loadModules(
+  "/src/sim/sensors.js", "/src/sim/faults.js", "/src/data/stream.js", "/src/data/channels.js",
+);
+const asset = args.asset ?? ASSET_ID;
+
+const faults = args.fault.map(s => { const [type, comp, sev] = s.split(":"); return createFault(type, comp || undefined, sev === undefined ? undefined : +sev); });
+const sampler = createSampler({ faults, seed: 21 });
+const wss = new WebSocketServer({ port: +args.port });
+const dt = 1 / +args.rate;
+let t = 0;
+
+wss.on("connection", (ws, req) => console.log(`client connected from ${req.socket.remoteAddress} (${wss.clients.size} total)`));
+setInterval(() => {
+  t += dt;
+  const ts = Date.now();
+  const batch = Object.entries(channelsOf(sampler.next(t))).map(([channel, value]) => ({
+    asset, channel, ts, value: +value.toFixed(3), unit: CHANNEL_UNITS[channel],
+  }));
+  wss.clients.forEach(ws => batch.forEach(m => ws.send(JSON.stringify(m))));
+}, dt * 1000);
+
+console.log(`publishing ${asset} on ws://localhost:${args.port} at ${args.rate} Hz` +
+  (faults.length ? ` with ${faults.map(f => `${f.type}@${f.comp}=${f.severity}`).join(", ")}` : ""));
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// ─── MODBUS TCP → DASHBOARD GATEWAY ───────────────────
+// Polls an SEW inverter's process-input words over Modbus TCP and relays them
+// to the dashboard as telemetry messages on a WebSocket, so the dashboard's
+// WebSocket source can connect to it directly.
+//
+//   node scripts/modbus-gateway.mjs [--host 127.0.0.1] [--port 502]
+//                                   [--map scripts/modbus/sew-movitrac-b.json]
+//                                   [--ws-port 8765] [--asset DRE100L4-01]
+
+import { parseArgs } from "node:util";
+import { WebSocketServer } from "ws";
+import { connectClient } from "./modbus/tcp.mjs";
+import { loadMap, span, decode } from "./modbus/registers.mjs";
+import { loadModules } from "./load-modules.mjs";
+
+const { values: args } = parseArgs({
+  options: {
+    host:      { type: "string", default: "127.0.0.1" },
+    port:      { type: "string", default: "502" },
+    map:       { type: "string", default: "scripts/modbus/sew-movitrac-b.json" },
+    "ws-port": { type: "string", default: "8765" },
+    asset:     { type: "string" },
+  },
+});
+
+const map = loadMap(args.map);
+const [{ CHANNEL_UNITS, ASSET_ID }] = await loadModules("/src/data/channels.js");
+const asset = args.asset ?? ASSET_ID;
+const { start, count } = span(map);
+const wss = new WebSocketServer({ port: +args["ws-port"] });
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+console.log(`relaying ${map.device} at ${args.host}:${args.port} to ws://localhost:${args["ws-port"]}`);
+wss.on("connection", () => console.log(`dashboard connected (${wss.clients.size} total)`));
+
+let attempt = 0, lastFault = 0;
+for (;;) {
+  let client;
+  try {
+    client = await connectClient({ host: args.host, port: +args.port, unitId: map.unitId });
+    console.log("drive connected");
+    attempt = 0;
+    while (!client.closed) {
+      const ts = Date.now();
+      const values = decode(map, await client.readHolding(start, count), start);
+      if (values["drive.fault"] !== lastFault) {
+        lastFault = values["drive.fault"];
+        console.log(lastFault ? `drive tripped: F-${lastFault}` : "drive fault cleared");
+      }
+      const batch = Object.entries(values).map(([channel, value]) => ({ asset, channel, ts, value: +value.toFixed(3), unit: CHANNEL_UNITS[channel] }));
+      wss.clients.forEach(ws => ws.send(JSON.stringify(batch)));
+      await sleep(Math.max(0, map.pollMs - (Date.now() - ts)));
+    }
+  } catch (e) {
+    client?.close();
+    const delay = Math.min(30000, 500 * 2 ** attempt++);
+    console.log(`drive link: ${e.message}; retrying in ${(delay / 1000).toFixed(1)} s`);
+    await sleep(delay);
+  }
+}
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// ─── SIMULATED SEW INVERTER ───────────────────────────
+// A Modbus TCP server that behaves like a MOVITRAC/MOVIDRIVE driving the
+// simulated motor, laid out by the same register map the gateway polls.
+//
+//   node scripts/modbus-sim.mjs [--port 5020] [--map scripts/modbus/sew-movidrive-b.json]
+//                               [--fault type:component:severity ...] [--trip 44@60]
+//
+// The drive trips on its own with F-31 when the winding passes its Class F
+// limit and F-82 on a fully open L3; --trip code@seconds forces a trip.
+// Writing bit 6 (fault reset) of control word 1 (register 4) clears it.
+
+import { parseArgs } from "node:util";
+import { startServer } from "./modbus/tcp.mjs";
+import { loadMap, encode, STATUS } from "./modbus/registers.mjs";
+import { loadModules } from "./load-modules.mjs";
+
+const { values: args } = parseArgs({
+  options: {
+    port:  { type: "string", default: "5020" },
+    map:   { type: "string", default: "scripts/modbus/sew-movidrive-b.json" },
+    fault: { type: "string", multiple: true, default: [] },
+    trip:  { type: "string" },
+  },
+});
+
+const RATED_CURRENT = 5.5; // A, inverter rated output current
+const CONTROL_RESET = 1 << 6;
+
+const map = loadMap(args.map);
+const [{ createSampler, SUPPLY }, { createFault }, { INSULATION }] = await loadModules(
+  "/src/sim/sensors.js", "/src/sim/faults.js", "/src/sim/thermal.js",
+);
+const faults = args.fault.map(s => { const [type, comp, sev] = s.split(":"); return createFault(type, comp || undefined, sev === undefined ? undefined : +sev); });
+const sampler = createSampler({ faults, seed: 31 });
+const [tripCode, tripAt] = args.trip ? args.trip.split("@").map(Number) : [0, Infinity];
+
+let regs = new Map(), t = 0, tripped = 0, forced = false;
+const dt = 0.2;
+setInterval(() => {
+  t += dt;
+  const d = sampler.next(t);
+  if (!forced && t >= tripAt) { tripped = tripCode; forced = true; }
+  if (!tripped && d.components.stator_winding.temp > INSULATION.F) tripped = 31;
+  if (!tripped && faults.some(f => f.type === "phase_loss" && f.severity >= 100)) tripped = 82;
+  const current = (d.phaseA + d.phaseB + d.phaseC) / 3;
+  const load = current / RATED_CURRENT;
+  regs = encode(map, tripped ? {
+    status: STATUS.FAULT | (tripped << 8), speed: 0, current: 0, dc_link: Math.SQRT2 * SUPPLY.voltage, frequency: 0, utilisation: 0,
+  } : {
+    status: STATUS.OUTPUT_ENABLED | STATUS.READY | STATUS.PO_ENABLED | (4 << 8), // unit status 4 = enabled
+    speed: d.rpm, current,
+    dc_link: Math.SQRT2 * SUPPLY.voltage * (1 - 0.02 * load) + (Math.random() - 0.5) * 4,
+    frequency: SUPPLY.freq, utilisation: 100 * load,
+  });
+}, dt * 1000);
+
+startServer({
+  port: +args.port, unitId: map.unitId,
+  read: (a) => (regs.has(a) ? regs.get(a) : a >= 4 && a < 68 ? 0 : undefined),
+  write: (a, v) => {
+    if (a < 4 || a >= 68) return false;
+    if (a === 4 && v & CONTROL_RESET && tripped) { console.log(`fault F-${tripped} reset`); tripped = 0; }
+    return true;
+  },
+});
+console.log(`simulated ${map.device} on modbus://localhost:${args.port}, unit ${map.unitId}`);
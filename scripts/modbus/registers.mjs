@@ -0,0 +1,52 @@
+// ─── DRIVE REGISTER MAPS ──────────────────────────────
+// A map (JSON, see sew-*.json) lists the process-input words the inverter
+// exposes and the quantity each one carries. Both the gateway (decode) and the
+// simulated drive (encode) work from the same file.
+
+import { readFileSync } from "node:fs";
+
+// quantity → dashboard channel
+export const QUANTITIES = {
+  status:      null,               // SEW status word 1, decoded into drive.fault
+  speed:       "rpm",
+  current:     "drive.current",
+  dc_link:     "drive.dcLink",
+  frequency:   "drive.freq",
+  utilisation: "drive.utilisation",
+};
+
+// SEW status word 1: low byte flags, high byte = fault code while bit 5 is
+// set, otherwise the unit status
+export const STATUS = { OUTPUT_ENABLED: 1 << 0, READY: 1 << 1, PO_ENABLED: 1 << 2, FAULT: 1 << 5 };
+
+export function loadMap(file) {
+  const map = JSON.parse(readFileSync(file, "utf8"));
+  map.registers.forEach(r => {
+    if (!(r.quantity in QUANTITIES)) throw new Error(`${file}: unknown quantity "${r.quantity}" at register ${r.address}`);
+  });
+  return map;
+}
+
+// contiguous address range covering the map (one FC 3 request)
+export function span(map) {
+  const addrs = map.registers.map(r => r.address);
+  const start = Math.min(...addrs);
+  return { start, count: Math.max(...addrs) - start + 1 };
+}
+
+// raw words (from span().start) → { channel: value }
+export function decode(map, words, start) {
+  const out = {};
+  map.registers.forEach(r => {
+    let raw = words[r.address - start];
+    if (r.type === "int16" && raw & 0x8000) raw -= 0x10000;
+    if (r.quantity === "status") out["drive.fault"] = raw & STATUS.FAULT ? raw >> 8 : 0;
+    else out[QUANTITIES[r.quantity]] = raw * (r.scale ?? 1);
+  });
+  return out;
+}
+
+// { quantity: value } → Map(address → uint16)
+export function encode(map, values) {
+  return new Map(map.registers.map(r => [r.address, Math.round(values[r.quantity] / (r.scale ?? 1)) & 0xffff]));
+}
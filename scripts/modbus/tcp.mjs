@@ -0,0 +1,102 @@
+// ─── MODBUS TCP ───────────────────────────────────────
+// Just enough of the protocol for the gateway and the simulated drive:
+// read holding registers (FC 3) on the client side; FC 3, 6 and 16 on the
+// server side. Frames are MBAP header (transaction, protocol 0, length,
+// unit id) + PDU.
+
+import { Socket, createServer } from "node:net";
+
+const FC_READ = 3, FC_WRITE_ONE = 6, FC_WRITE_MANY = 16;
+const EX_ILLEGAL_FUNCTION = 1, EX_ILLEGAL_ADDRESS = 2;
+
+const frame = (tid, unit, pdu) => {
+  const h = Buffer.alloc(7);
+  h.writeUInt16BE(tid, 0); h.writeUInt16BE(0, 2); h.writeUInt16BE(pdu.length + 1, 4); h.writeUInt8(unit, 6);
+  return Buffer.concat([h, pdu]);
+};
+
+// Splits a byte stream into whole frames; calls onFrame(tid, unit, pdu).
+function framer(onFrame) {
+  let buf = Buffer.alloc(0);
+  return (chunk) => {
+    buf = Buffer.concat([buf, chunk]);
+    while (buf.length >= 7) {
+      const len = buf.readUInt16BE(4);
+      if (buf.length < 6 + len) break;
+      onFrame(buf.readUInt16BE(0), buf.readUInt8(6), buf.subarray(7, 6 + len));
+      buf = buf.subarray(6 + len);
+    }
+  };
+}
+
+// Resolves once connected. readHolding(start, count) → Promise<uint16[]>.
+export function connectClient({ host, port, unitId = 1, timeout = 2000 }) {
+  return new Promise((resolve, reject) => {
+    const sock = new Socket();
+    const pending = new Map();
+    let tid = 0;
+    const failAll = (err) => { pending.forEach(p => { clearTimeout(p.timer); p.reject(err); }); pending.clear(); };
+
+    sock.setTimeout(timeout, () => sock.destroy(new Error(`connect timeout ${host}:${port}`)));
+    sock.on("data", framer((id, unit, pdu) => {
+      const p = pending.get(id);
+      if (!p) return;
+      pending.delete(id); clearTimeout(p.timer);
+      if (pdu[0] & 0x80) return p.reject(new Error(`Modbus exception ${pdu[1]} on FC ${pdu[0] & 0x7f}`));
+      const n = pdu[1] / 2;
+      p.resolve(Array.from({ length: n }, (_, i) => pdu.readUInt16BE(2 + 2 * i)));
+    }));
+    sock.on("error", (e) => { failAll(e); reject(e); });
+    sock.on("close", () => failAll(new Error("connection closed")));
+    sock.connect(port, host, () => {
+      sock.setTimeout(0);
+      resolve({
+        readHolding(start, count) {
+          return new Promise((res, rej) => {
+            const id = tid = (tid + 1) & 0xffff;
+            const pdu = Buffer.alloc(5);
+            pdu.writeUInt8(FC_READ, 0); pdu.writeUInt16BE(start, 1); pdu.writeUInt16BE(count, 3);
+            const timer = setTimeout(() => { pending.delete(id); rej(new Error("response timeout")); }, timeout);
+            pending.set(id, { resolve: res, reject: rej, timer });
+            sock.write(frame(id, unitId, pdu));
+          });
+        },
+        close: () => sock.destroy(),
+        get closed() { return sock.destroyed; },
+      });
+    });
+  });
+}
+
+// read(addr) → uint16 or undefined (illegal address); write(addr, value) → bool
+export function startServer({ port, unitId = 1, read, write = () => false }) {
+  const server = createServer((sock) => {
+    sock.on("error", () => {});
+    sock.on("data", framer((tid, unit, pdu) => {
+      if (unit !== unitId && unit !== 0xff) return; // not addressed to us: stay silent like a real gateway
+      const fc = pdu[0];
+      const fail = (code) => sock.write(frame(tid, unit, Buffer.from([fc | 0x80, code])));
+      if (fc === FC_READ) {
+        const start = pdu.readUInt16BE(1), count = pdu.readUInt16BE(3);
+        const vals = Array.from({ length: count }, (_, i) => read(start + i));
+        if (count < 1 || count > 125 || vals.some(v => v === undefined)) return fail(EX_ILLEGAL_ADDRESS);
+        const out = Buffer.alloc(2 + 2 * count);
+        out.writeUInt8(fc, 0); out.writeUInt8(2 * count, 1);
+        vals.forEach((v, i) => out.writeUInt16BE(v & 0xffff, 2 + 2 * i));
+        return sock.write(frame(tid, unit, out));
+      }
+      if (fc === FC_WRITE_ONE) {
+        if (!write(pdu.readUInt16BE(1), pdu.readUInt16BE(3))) return fail(EX_ILLEGAL_ADDRESS);
+        return sock.write(frame(tid, unit, pdu.subarray(0, 5)));
+      }
+      if (fc === FC_WRITE_MANY) {
+        const start = pdu.readUInt16BE(1), count = pdu.readUInt16BE(3);
+        for (let i = 0; i < count; i++) if (!write(start + i, pdu.readUInt16BE(6 + 2 * i))) return fail(EX_ILLEGAL_ADDRESS);
+        return sock.write(frame(tid, unit, pdu.subarray(0, 5)));
+      }
+      fail(EX_ILLEGAL_FUNCTION);
+    }));
+  });
+  server.listen(port);
+  return server;
+}
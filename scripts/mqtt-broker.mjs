@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// ─── EMBEDDED MQTT BROKER ─────────────────────────────
+// A throwaway broker for trying the dashboard's MQTT mode without Mosquitto:
+// MQTT over WebSocket for the browser, plain TCP for CLI tools.
+//
+//   node scripts/mqtt-broker.mjs [--ws-port 9001] [--tcp-port 1883]
+//                                [--simulate] [--rate 1] [--fault type:component:severity ...]
+//
+// --simulate publishes the simulator on the default topic mapping, one bare
+// number per topic; otherwise publish your own, e.g.
+//   mosquitto_pub -t plant/line3/m12/bearing_de/vib_rms -m 3.2
+
+import { createServer as createHttpServer } from "node:http";
+import { createServer as createTcpServer } from "node:net";
+import { parseArgs } from "node:util";
+import { Aedes } from "aedes";
+import { WebSocketServer, createWebSocketStream } from "ws";
+import { loadModules } from "./load-modules.mjs";
+
+const { values: args } = parseArgs({
+  options: {
+    "ws-port":  { type: "string", default: "9001" },
+    "tcp-port": { type: "string", default: "1883" },
+    simulate:   { type: "boolean", default: false },
+    rate:       { type: "string", default: "1" },
+    fault:      { type: "string", multiple: true, default: [] },
+  },
+});
+
+const broker = await Aedes.createBroker();
+const http = createHttpServer();
+new WebSocketServer({ server: http }).on("connection", (ws, req) => broker.handle(createWebSocketStream(ws), req));
+http.listen(+args["ws-port"]);
+createTcpServer(broker.handle).listen(+args["tcp-port"]);
+broker.on("client", (c) => console.log(`client ${c.id} connected`));
+broker.on("subscribe", (subs, c) => console.log(`client ${c.id} subscribed to ${subs.length} topic(s)`));
+console.log(`MQTT broker on ws://localhost:${args["ws-port"]} and mqtt://localhost:${args["tcp-port"]}`);
+
+if (args.simulate) {
+  const [{ createSampler }, { createFault }, { channelsOf }, { DEFAULT_MAPPING }] = await loadModules(
+    "/src/sim/sensors.js", "/src/sim/faults.js", "/src/data/stream.js", "/src/data/mqttMapping.js",
+  );
+  const faults = args.fault.map(s => { const [type, comp, sev] = s.split(":"); return createFault(type, comp || undefined, sev === undefined ? undefined : +sev); });
+  const sampler = createSampler({ faults, seed: 21 });
+  const topics = DEFAULT_MAPPING.filter(r => !/[+#]/.test(r.pattern));
+  const dt = 1 / +args.rate;
+  let t = 0;
+  setInterval(() => {
+    t += dt;
+    const ch = channelsOf(sampler.next(t));
+    topics.forEach(({ pattern, channel }) =>
+      broker.publish({ topic: pattern, payload: Buffer.from(ch[channel].toFixed(3)), qos: 0, retain: false }, () => {}));
+  }, dt * 1000);
+  console.log(`publishing the simulator on ${topics.length} topics at ${args.rate} Hz`);
+}
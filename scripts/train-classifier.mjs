@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+// ─── FAULT CLASSIFIER TRAINING ────────────────────────
+// Draws random fault sets, loads and severities from the simulator, extracts
+// the diagnostic features from the synthesised waveforms and fits one CART
+// tree (Gini) per fault class. A held-out part of the draws gives each class
+// its precision and recall. The result replaces src/analytics/fault-model.json.
+//
+//   node scripts/train-classifier.mjs [--samples 3000] [--test 0.2] [--depth 6] [--leaf 8] [--seed 17]
+
+import { parseArgs } from "node:util";
+import { writeFileSync } from "node:fs";
+import { loadModules } from "./load-modules.mjs";
+
+const { values: args } = parseArgs({
+  options: {
+    samples: { type: "string", default: "3000" },
+    test:    { type: "string", default: "0.2" },
+    depth:   { type: "string", default: "6" },
+    leaf:    { type: "string", default: "8" },
+    seed:    { type: "string", default: "17" },
+  },
+});
+
+const [{ FEATURES, FAULT_CLASSES, PRESENT_LEVEL, featureSignals, extractFeatures }, { operatingPoint, rng }, { FAULT_TYPES, createFault, faultLevel }, { ratedTorque }] = await loadModules(
+  "/src/analytics/features.js", "/src/sim/sensors.js", "/src/sim/faults.js", "/src/sim/motor.js",
+);
+
+const rand = rng(+args.seed);
+const pick = (a) => a[Math.floor(rand() * a.length)];
+
+// One labelled draw: up to three faults at 5–150 % of critical, 40–105 % load.
+function draw() {
+  const types = Object.keys(FAULT_TYPES).sort(() => rand() - 0.5).slice(0, Math.floor(rand() * 4));
+  const faults = types.map(type => {
+    const ft = FAULT_TYPES[type];
+    const sev = Math.min(ft.max, ft.critical * (0.05 + 1.45 * rand()));
+    return createFault(type, ft.locations ? pick(ft.locations) : ft.comp, ft.step >= 1 ? Math.max(1, Math.round(sev)) : sev);
+  });
+  const load = ratedTorque() * (0.4 + 0.65 * rand());
+  const { op } = operatingPoint(0, { load: () => load, faults });
+  return {
+    x: extractFeatures(featureSignals(op, faults, { t0: 100 * rand(), rand }), op),
+    y: FAULT_CLASSES.map(c => faults.some(f => f.type === c.type && f.comp === c.comp && faultLevel(f) >= PRESENT_LEVEL)),
+  };
+}
+
+const gini = (pos, n) => (n ? 2 * (pos / n) * (1 - pos / n) : 0);
+const round = (v, k) => +v.toPrecision(k);
+
+// CART on rows (indices into X) for one boolean label column.
+function fitTree(X, y, rows, { depth, leaf }) {
+  const nodes = [];
+  const grow = (idx, d) => {
+    const pos = idx.reduce((s, i) => s + y[i], 0), id = nodes.length;
+    nodes.push([-1, 0, 0, 0, round((pos + 1) / (idx.length + 2), 4)]);   // Laplace-smoothed leaf probability
+    if (d >= depth || pos === 0 || pos === idx.length || idx.length < 2 * leaf) return id;
+    let best = null;
+    for (let f = 0; f < X[0].length; f++) {
+      const s = [...idx].sort((a, b) => X[a][f] - X[b][f]);
+      let lp = 0;
+      for (let k = 0; k < s.length - 1; k++) {
+        lp += y[s[k]];
+        const nl = k + 1, nr = s.length - nl;
+        if (nl < leaf || nr < leaf || X[s[k]][f] === X[s[k + 1]][f]) continue;
+        const imp = (nl * gini(lp, nl) + nr * gini(pos - lp, nr)) / s.length;
+        if (!best || imp < best.imp) best = { f, thr: (X[s[k]][f] + X[s[k + 1]][f]) / 2, imp };
+      }
+    }
+    if (!best || gini(pos, idx.length) - best.imp < 1e-4) return id;
+    const thr = round(best.thr, 6);
+    const l = grow(idx.filter(i => X[i][best.f] <= thr), d + 1), r = grow(idx.filter(i => X[i][best.f] > thr), d + 1);
+    nodes[id] = [best.f, thr, l, r, nodes[id][4]];
+    return id;
+  };
+  grow(rows, 0);
+  return nodes;
+}
+
+const predict = (tree, x) => { let i = 0; while (tree[i][0] >= 0) i = x[tree[i][0]] <= tree[i][1] ? tree[i][2] : tree[i][3]; return tree[i][4]; };
+
+const n = +args.samples, t0 = Date.now();
+const data = Array.from({ length: n }, (_, i) => {
+  if (i % 250 === 0) process.stdout.write(`\rsimulating ${i}/${n}`);
+  return draw();
+});
+process.stdout.write(`\rsimulated ${n} draws in ${((Date.now() - t0) / 1000).toFixed(0)} s\n`);
+const X = data.map(d => d.x), nTest = Math.round(n * +args.test);
+const train = X.map((_, i) => i).slice(nTest), test = X.map((_, i) => i).slice(0, nTest);
+
+const classes = FAULT_CLASSES.map((c, ci) => {
+  const y = data.map(d => +d.y[ci]);
+  const tree = fitTree(X, y, train, { depth: +args.depth, leaf: +args.leaf });
+  let tp = 0, fp = 0, fn = 0;
+  test.forEach(i => { const hit = predict(tree, X[i]) >= 0.5; tp += hit && y[i]; fp += hit && !y[i]; fn += !hit && y[i]; });
+  const metrics = { precision: round(tp / Math.max(1, tp + fp), 3), recall: round(tp / Math.max(1, tp + fn), 3), support: tp + fn };
+  console.log(`${c.id.padEnd(28)} ${String(tree.length).padStart(3)} nodes  precision ${metrics.precision.toFixed(2)}  recall ${metrics.recall.toFixed(2)}  (${metrics.support} in test)`);
+  return { id: c.id, metrics, tree };
+});
+
+const out = "src/analytics/fault-model.json";
+writeFileSync(out, `{
+  "features": ${JSON.stringify(FEATURES.map(([k]) => k))},
+  "samples": ${n}, "test": ${nTest}, "seed": ${+args.seed}, "depth": ${+args.depth}, "leaf": ${+args.leaf},
+  "classes": [
+${classes.map(c => `    ${JSON.stringify(c)}`).join(",\n")}
+  ]
+}
+`);
+console.log(`wrote ${out}`);
@@ -1,29 +1,163 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useMemo, useSyncExternalStore } from "react";
 import * as THREE from "three";
-import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from "recharts";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ReferenceLine, ReferenceArea } from "recharts";
+import { createSampler, generateHistory } from "./sim/sensors";
+import { createStream, channelsOf, fmtClock, WINDOWS, RATES } from "./data/stream";
+import { createTelemetryLink, applyChannels } from "./data/telemetry";
+import { loadMapping, saveMapping } from "./data/mqttMapping";
+import { SECTION_PLANES, DEFAULT_SECTION, BUILTIN_PRESETS, sectionPlanes, loadSectionPresets, saveSectionPresets } from "./data/sectionViews";
+import { DRIVE_LABEL, DRIVE_CHANNELS, driveFault } from "./data/drive";
+import { createAlarmManager, activeAlarms, ALARM_STATES, ALARM_PRIORITIES, SHELVE_TIMES } from "./data/alarms";
+import { parseRecording, recordingWindow, recordingSample } from "./data/recording";
+import { SCENARIOS, simulate, OUT_STEP } from "./sim/dq";
+import { createFault, vibrationModel, currentModel } from "./sim/faults";
+import { BEARINGS } from "./sim/bearings";
+import { shaftOrbit, orbitPoint } from "./sim/orbit";
+import { synthVibration, synthCurrents, VIB_FS, CUR_FS } from "./sim/waveform";
+import { INSULATION, AMBIENT } from "./sim/thermal";
+import { RUL_INDICATORS, estimateRul, formatRul } from "./analytics/rul";
+import { envelopeSpectrum, flagDefects, resolveBand } from "./analytics/envelope";
+import { MACHINE_GROUPS, MOUNTINGS, ZONES, zoneLimits, vibrationZone } from "./analytics/iso10816";
+import { analysePhases, nemaUnbalance, unbalanceFault } from "./analytics/symmetrical";
+import { featureSignals, extractFeatures } from "./analytics/features";
+import { classify, DIAGNOSIS_THRESHOLD, CLASS_METRICS } from "./analytics/classifier";
+import { createAnomalyDetector, channelParts, T2_CHANNEL } from "./analytics/anomaly";
+import { STREAM_SPECTRA, streamFrames, appendFrames, stft, COLOR_SCALES, colorAt, cssGradient, rgb } from "./analytics/spectrogram";
+import { HEALTH_DEFAULTS, healthIndicators, componentHealth, motorHealth, healthStatus } from "./analytics/health";
+import { T, STATUS_COLOR, PRIORITY_COLOR } from "./theme";
+import FaultInjector from "./components/FaultInjector";
+import TelemetrySource from "./components/TelemetrySource";
+import MqttMapping from "./components/MqttMapping";
+import RecordingImport from "./components/RecordingImport";
+import ReplayBar from "./components/ReplayBar";
+import SpectrumView from "./components/SpectrumView";
+import McsaView from "./components/McsaView";
+import EnvelopeView from "./components/EnvelopeView";
+import SpectrogramView from "./components/SpectrogramView";
+import PhasorView from "./components/PhasorView";
+import DiagnosisView from "./components/DiagnosisView";
+import HealthPopover from "./components/HealthPopover";
+import AlarmHistory from "./components/AlarmHistory";
+import SectionPanel from "./components/SectionPanel";
+import OrbitPlot from "./components/OrbitPlot";
 
-// ─── THEME ────────────────────────────────────────────
-const T = {
-  bg: "#030810", surface: "#070e1a", card: "#0a1628", cardBorder: "#0f2a4a",
-  accent: "#00b4d8", accentDim: "#0077a8", warn: "#f5a623", danger: "#ff4757",
-  good: "#2ed573", text: "#c5dce8", textDim: "#5a7a8e", textMuted: "#2e4a5e",
-};
 
 // ─── DATA ─────────────────────────────────────────────
-const gen = (base, noise, n = 60) =>
-  Array.from({ length: n }, (_, i) => base + (Math.random() - 0.5) * noise + Math.sin(i * 0.3) * noise * 0.4);
-
-const COMPONENTS = [
-  { id: "shaft",          label: "Shaft & Keyway",     icon: "📐", health: 91, status: "good",     temp: 55, vibration: 0.9, faults: [],                                            rrh: "—",      color: "#2ed573" },
-  { id: "bearing_drive", label: "Drive-Side Bearing", icon: "⚙️", health: 78, status: "warning",  temp: 62, vibration: 4.2, faults: ["Outer Race Wear","Misalignment Risk"],     rrh: "12 days", color: "#f5a623" },
-  { id: "rotor_bars",    label: "Rotor / Bars",       icon: "🔄", health: 65, status: "critical", temp: 84, vibration: 5.8, faults: ["Broken Bar Signature","Eccentricity Detected"], rrh: "3 days", color: "#ff4757" },
-  { id: "stator_winding",label: "Stator Winding",     icon: "🔌", health: 88, status: "good",     temp: 71, vibration: 0.4, faults: [],                                            rrh: "—",      color: "#2ed573" },
-  { id: "bearing_fan",   label: "Fan-Side Bearing",   icon: "⚙️", health: 94, status: "good",     temp: 48, vibration: 1.1, faults: [],                                            rrh: "—",      color: "#2ed573" },
-  { id: "housing",       label: "Housing / Fins",     icon: "🏗️", health: 85, status: "good",     temp: 58, vibration: 1.3, faults: [],                                            rrh: "—",      color: "#2ed573" },
-  { id: "fan_guard",     label: "Fan & Guard",        icon: "💨", health: 72, status: "warning",  temp: 46, vibration: 2.9, faults: ["Fan Blade Imbalance"],                       rrh: "8 days", color: "#f5a623" },
-  { id: "junction_box",  label: "Junction Box",       icon: "📦", health: 97, status: "good",     temp: 42, vibration: 0.2, faults: [],                                            rrh: "—",      color: "#2ed573" },
+// Every signal comes from the equivalent-circuit motor model (src/sim);
+// status follows the readings, fault badges come from the classifier and
+// health from the health-index engine (src/analytics/health.js).
+const COMPONENT_DEFS = [
+  { id: "shaft",          label: "Shaft & Keyway",     icon: "📐" },
+  { id: "bearing_drive", label: "Drive-Side Bearing", icon: "⚙️" },
+  { id: "rotor_bars",    label: "Rotor / Bars",       icon: "🔄" },
+  { id: "stator_winding",label: "Stator Winding",     icon: "🔌" },
+  { id: "bearing_fan",   label: "Fan-Side Bearing",   icon: "⚙️" },
+  { id: "housing",       label: "Housing / Fins",     icon: "🏗️" },
+  { id: "fan_guard",     label: "Fan & Guard",        icon: "💨" },
+  { id: "junction_box",  label: "Junction Box",       icon: "📦" },
+];
+
+// the condition the twin starts in
+const INITIAL_FAULTS = [
+  createFault("bearing_outer", "bearing_drive", 0.6),
+  createFault("misalignment", "shaft", 0.2),
+  createFault("broken_bars", "rotor_bars", 2),
+  createFault("ecc_dynamic", "rotor_bars", 15),
+  createFault("imbalance", "fan_guard", 180),
 ];
 
+// maintenance action for a finding of a diagnosed fault type (or a current
+// unbalance), given the component it is on; other findings get a generic one
+const FAULT_ACTIONS = {
+  broken_bars:   () => "Inspect rotor bars — broken bar signature in current spectrum",
+  bearing_outer: (c) => `Replace ${c.label.toLowerCase()} — outer race degradation`,
+  bearing_inner: (c) => `Replace ${c.label.toLowerCase()} — inner race degradation`,
+  bearing_ball:  (c) => `Replace ${c.label.toLowerCase()} — rolling element damage`,
+  ecc_static:    () => "Check bearing housing fits and air gap — static eccentricity",
+  ecc_dynamic:   () => "Check rotor runout and bearing fits — dynamic eccentricity",
+  imbalance:     (c) => (c.id === "fan_guard" ? "Balance fan assembly — blade wear imbalance detected" : "Balance rotor — residual imbalance"),
+  misalignment:  () => "Verify shaft alignment at next scheduled stop",
+  inter_turn:    () => "Test stator winding insulation — inter-turn short suspected",
+  phase_loss:    () => "Check L3 supply contacts and terminals — phase loss",
+  unbalance:     (c) => (c ? "Test stator winding — unbalance points to shorted turns" : "Check supply voltages and terminal connections — current unbalance"),
+};
+const ACTION_LABEL = { urgent: "URGENT", high: "HIGH", medium: "MED", low: "LOW" };
+
+// Predictive Actions from the Active Faults findings, most urgent first and
+// one per action, each tied to the component whose RUL sets its deadline.
+function maintenanceActions(findings) {
+  const seen = new Set();
+  return [...findings].sort((a, b) => ALARM_PRIORITIES[a.priority].rank - ALARM_PRIORITIES[b.priority].rank).flatMap(f => {
+    const def = COMPONENT_DEFS.find(c => c.id === f.compId);
+    const action = FAULT_ACTIONS[f.type]?.(def) ?? `Inspect ${f.comp} — ${f.fault}`;
+    if (seen.has(action)) return [];
+    seen.add(action);
+    return [{ priority: ACTION_LABEL[f.priority], comp: f.compId, action }];
+  });
+}
+
+// Component status from the measured values: vibration by its ISO 10816-3
+// zone (C = warning, D = critical), temperature against the part's limit
+// (insulation class for the winding, 90 °C elsewhere) with a warning 15 K below.
+const STATUS_LEVELS = ["good", "warning", "critical"];
+function assess(id, { temp, vibration }, limits, windingLimit) {
+  const zone = vibrationZone(vibration, limits);
+  const tLimit = id === "stator_winding" ? windingLimit : 90;
+  const tl = temp === null ? 0 : temp >= tLimit ? 2 : temp >= tLimit - 15 ? 1 : 0;
+  const lv = Math.max(zone ? STATUS_LEVELS.indexOf(zone.status) : 0, tl);
+  return { status: STATUS_LEVELS[lv], zone, tLimit, tStatus: STATUS_LEVELS[tl] };
+}
+
+// Live twin: the faults are the classifier's diagnoses for the component,
+// with their confidence; `envelopes` holds the envelope analysis per bearing,
+// whose flagged defect lines ride along on the bearing cards.
+const buildComponents = (latest, diagnosis, limits, windingLimit, envelopes = {}) => COMPONENT_DEFS.map(c => {
+  const { status, zone, tLimit, tStatus } = assess(c.id, latest.components[c.id], limits, windingLimit);
+  return {
+    ...c, status, zone, tLimit, tStatus, color: STATUS_COLOR[status],
+    faults: diagnosis.filter(d => d.comp === c.id && d.p >= DIAGNOSIS_THRESHOLD).map(d => ({ key: d.id, text: d.label, confidence: d.p, diagnosis: d })),
+    envelope: envelopes[c.id]?.flags.filter(d => d.flagged) || [],
+    temp: Math.round(latest.components[c.id].temp),
+    vibration: +latest.components[c.id].vibration.toFixed(1),
+  };
+});
+
+// A replayed recording has no fault ground truth, so the findings are the
+// out-of-range readings themselves. Missing channels are null.
+const buildReplayComponents = (sample, limits, windingLimit) => COMPONENT_DEFS.map(c => {
+  const { temp, vibration } = sample.components[c.id];
+  const { status, zone, tLimit, tStatus } = assess(c.id, sample.components[c.id], limits, windingLimit);
+  return {
+    ...c, status, zone, tLimit, tStatus, color: STATUS_COLOR[status],
+    faults: [
+      zone && zone.status !== "good" && `Vibration ${vibration.toFixed(1)} mm/s · zone ${zone.zone}`,
+      temp !== null && temp >= tLimit - 15 && `Temperature ${Math.round(temp)}°C`,
+    ].filter(Boolean).map(text => ({ text })),
+    envelope: [],
+    temp: temp === null ? null : Math.round(temp),
+    vibration: vibration === null ? null : +vibration.toFixed(1),
+  };
+});
+
+// When the phasors point at the stator winding itself the unbalance fault is
+// listed on its card, otherwise it goes to Active Faults against the supply.
+const applyUnbalance = (components, fault) => components.map(c => {
+  if (c.id !== "stator_winding" || fault?.kind !== "stator") return c;
+  const status = STATUS_LEVELS[Math.max(STATUS_LEVELS.indexOf(c.status), STATUS_LEVELS.indexOf(fault.status))];
+  return { ...c, status, color: STATUS_COLOR[status], faults: [...c.faults, { key: "unbalance", text: fault.text }] };
+});
+
+// Health index of every card from its readings, the current unbalance (%)
+// and the anomaly charts of its channels (null while learning or replaying).
+const applyHealth = (components, { limits, unbalance, anomaly, weights }) => components.map(c => {
+  const scores = anomaly && Object.entries(anomaly).filter(([ch]) => channelParts(ch)[0] === c.id).map(([, a]) => a.score);
+  const { health, parts } = componentHealth(healthIndicators(c.id, {
+    vibration: c.vibration, temp: c.temp, tLimit: c.tLimit, unbalance,
+    anomaly: scores?.length ? Math.max(...scores) : null,
+  }, limits), weights);
+  return { ...c, health: health === null ? null : Math.round(health), healthParts: parts };
+});
+
 // label legend: 1=Shaft  2=Drive Bearing  3=Rotor  4=Stator Coils  5=Coil End-turns  6=Fan Bearing  7=Fan  8=Housing  9=Fins  10=Junction Box
 const LABEL_LEGEND = [
   { num: 1,  label: "Shaft" },
@@ -38,21 +172,110 @@ const LABEL_LEGEND = [
   { num: 10, label: "Junction Box" },
 ];
 
-const vibData  = gen(2.8, 3.2).map((v, i) => ({ t: i, vibration: +v.toFixed(2), threshold: 4.5 }));
-const tempData = gen(58, 14).map((v, i) => ({ t: i, temperature: +v.toFixed(1), limit: 90 }));
-const curData  = gen(4.2, 0.8).map((v, i) => ({
-  t: i, phaseA: +v.toFixed(2),
-  phaseB: +(v + (Math.random()-0.5)*0.6).toFixed(2),
-  phaseC: +(v - (Math.random()-0.5)*0.6).toFixed(2),
-}));
+// thermal-network nodes plotted on the temperature tab
+const TEMP_NODES = [
+  ["stator_winding", "Winding",   T.warn],
+  ["rotor_bars",     "Rotor",     T.danger],
+  ["bearing_drive",  "DE bearing",  "#00b4d8"],
+  ["bearing_fan",    "NDE bearing", "#2ed573"],
+  ["housing",        "Housing",   T.textDim],
+];
+
+// shading of the ISO 10816-3 evaluation zones on the vibration chart
+const ZONE_COLOR = { A: T.good, B: "#7bed9f", C: T.warn, D: T.danger };
+
+// 3D colour modes: every part coloured by one live value of its card
+const VIEW_MODES = {
+  thermal:   { label: "Thermal",   key: "temp",      unit: "°C",   scale: COLOR_SCALES.inferno },
+  health:    { label: "Health",    key: "health",    unit: "%",    scale: [T.danger, T.danger, T.warn, T.good, T.good].map(rgb) },
+  vibration: { label: "Vibration", key: "vibration", unit: "mm/s", scale: [T.good, "#7bed9f", T.warn, T.danger].map(rgb) },
+};
+const NO_READING = "#3a4a5a";
+// value span of a mode's scale and the marks on its legend: ambient to the
+// winding limit, health with its 50 / 75 % bands, vibration with the zone boundaries
+const modeRange = (mode, limits, windingLimit) => ({
+  thermal:   { lo: AMBIENT, hi: windingLimit, ticks: [AMBIENT, 90, windingLimit] },
+  health:    { lo: 0, hi: 100, ticks: [0, 50, 75, 100] },
+  vibration: { lo: 0, hi: 1.25 * limits[2], ticks: [0, ...limits] },
+})[mode];
+
+// which anomaly episodes each trend chart shades (T² spans every channel)
+const ANOMALY_CHARTS = {
+  vibration:   (id) => id.endsWith(".vibration"),
+  temperature: (id) => id.endsWith(".temp"),
+  current:     (id) => /^(phase[ABC]|rpm|drive\.)/.test(id),
+};
+
+// Active Faults entry for an open anomaly episode
+function anomalyFault(ep) {
+  const [comp, q] = channelParts(ep.channel);
+  const def = COMPONENT_DEFS.find(c => c.id === comp);
+  const what = ep.channel === T2_CHANNEL ? "joint pattern of all channels"
+    : def ? (q === "temp" ? "temperature" : q)
+    : comp === "drive" ? DRIVE_CHANNELS[q]?.[0] ?? q
+    : q === "rpm" ? "speed" : `phase ${q.slice(-1)} current`;
+  const dir = ep.channel === T2_CHANNEL ? "off" : ep.dir > 0 ? "above" : "below";
+  return {
+    key: `anomaly:${ep.id}`, compId: def?.id,
+    fault: `Anomaly · ${what} ${dir} baseline (${ep.method}, ${ep.score.toFixed(1)}× limit)`,
+    comp: def ? def.label : comp === "drive" ? DRIVE_LABEL : "Motor",
+    status: "warning", priority: "low", since: ep.start,
+  };
+}
+
+// alarm priority of an Active Faults entry that does not set its own
+const PRIORITY_OF = { critical: "high", warning: "medium", good: "low" };
+
+// the alarm state a component card shows: unacknowledged first, then cleared-unacknowledged, then acknowledged
+const CARD_ALARM_ORDER = ["unack", "rtn_unack", "ack"];
+
+// transients are replayed in slow motion so start-up is visible on the 3D rotor
+const REPLAY_RATE = 0.1;
+
+// tabs that analyse a waveform snapshot rather than plot the stream window
+const SPECTRAL_TABS = ["spectrum", "mcsa", "envelope", "waterfall"];
+
+// 4 s of vibration per envelope analysis (a power of two for the FFT filter)
+const ENVELOPE_SAMPLES = 32768;
+// stream time (s) between two runs of the waveform analyses, which take far
+// longer than a chart update
+const ANALYSIS_EVERY = 5;
+
+// the twin's vibration at both bearings for the envelope analysis
+const envelopeWaves = (d, faults) => ({
+  fr: d.op.rpm / 60,
+  x: Object.fromEntries(Object.keys(BEARINGS).map(loc => [loc, synthVibration(vibrationModel(d.op, faults, loc), { fs: VIB_FS, n: ENVELOPE_SAMPLES, t0: d.t })])),
+});
+// the shipped classifier's diagnoses for the twin's waveforms
+const diagnose = (d, faults) => classify(extractFeatures(featureSignals(d.op, faults, { t0: d.t }), d.op));
 
 // ─── 3D MOTOR ─────────────────────────────────────────
-function MotorViewer({ highlightId }) {
+function MotorViewer({ highlightId, rpm, statuses, parts, onSelect, colors, exploded, spread, section, view, onViewChange, orbits, amplify }) {
   const mountRef = useRef(null);
   const animRef  = useRef(null);
   const timeRef  = useRef(0);
+  const angRef   = useRef(0);
   const hlRef    = useRef(highlightId);
+  const rpmRef   = useRef(rpm);
+  const stRef    = useRef(statuses);
   useEffect(() => { hlRef.current = highlightId; }, [highlightId]);
+  useEffect(() => { stRef.current = statuses; }, [statuses]);
+  useEffect(() => { rpmRef.current = rpm; }, [rpm]);
+  const colRef   = useRef(null);
+  useEffect(() => { colRef.current = colors && Object.fromEntries(Object.entries(colors).map(([id, css]) => [id, new THREE.Color(css)])); }, [colors]);
+  const exRef    = useRef({ on: exploded, spread });
+  useEffect(() => { exRef.current = { on: exploded, spread }; }, [exploded, spread]);
+  const orbRef   = useRef({ orbits, amplify });
+  useEffect(() => { orbRef.current = { orbits, amplify }; }, [orbits, amplify]);
+  const secRef   = useRef(section);
+  useEffect(() => { secRef.current = section; }, [section]);
+  const viewRef  = useRef(view);
+  useEffect(() => { viewRef.current = view; }, [view]);
+  const selRef   = useRef(onSelect);
+  useEffect(() => { selRef.current = onSelect; }, [onSelect]);
+  const viewCbRef = useRef(onViewChange);
+  useEffect(() => { viewCbRef.current = onViewChange; }, [onViewChange]);
+  const [hover, setHover] = useState(null);   // { id, x, y } of the part under the pointer
 
   useEffect(() => {
     const container = mountRef.current;
@@ -64,7 +287,8 @@ function MotorViewer({ highlightId }) {
     const camera   = new THREE.PerspectiveCamera(36, W / H, 0.01, 10);
     camera.position.set(0.34, 0.18, 0.36);
     camera.lookAt(0, 0, 0);
-    const renderer = new THREE.WebGLRenderer({ antialias: true });
+    const renderer = new THREE.WebGLRenderer({ antialias: true, stencil: true });
+    renderer.localClippingEnabled = true;
     renderer.setSize(W, H);
     renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
     container.appendChild(renderer.domElement);
@@ -144,50 +368,63 @@ function MotorViewer({ highlightId }) {
       return g;
     }
 
-    // CUT ANGLES: remove from -50° to +140° (the top-front facing the camera)
-    const CUT_START = -50 * Math.PI / 180;   // -50°
-    const CUT_END   = 140 * Math.PI / 180;   // +140°
-    // The SOLID arc is the remainder: from CUT_END to CUT_START + 2π
-    const SOLID_START = CUT_END;
-    const SOLID_END   = CUT_START + Math.PI * 2;
-
-    // ── HOUSING BARREL (solid back arc) ──
-    const housingGeo = partialCylinder(hR, hL, SOLID_START, SOLID_END, 48);
-    const housingMesh = new THREE.Mesh(housingGeo, mHousing);
-    housingMesh.userData = { compId: "housing" };
-    statorG.add(housingMesh);
-
-    // ── HOUSING CUT-FACE EDGES (bright lines at the cut boundaries) ──
+    // CUT ANGLES: the arc from cut.start to cut.end (degrees, default −50°…+140°,
+    // the top-front facing the camera) is left out; an empty arc closes the
+    // barrel. The barrel, its edges and fins are rebuilt when the cut changes.
+    const housingG = new THREE.Group(); statorG.add(housingG);
     const edgeMat = new THREE.LineBasicMaterial({ color: 0x60b8e4, transparent: true, opacity: 0.8 });
-    [CUT_START, CUT_END].forEach((a) => {
-      const cx = Math.sin(a) * hR, cy = Math.cos(a) * hR;
-      const pts = [new THREE.Vector3(cx, cy, -hL*0.5), new THREE.Vector3(cx, cy, hL*0.5)];
-      statorG.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(pts), edgeMat));
-    });
-    // two arc-end rings (partial)
-    [-hL*0.5, hL*0.5].forEach((z) => {
-      const pts = [];
-      for (let i = 0; i <= 6; i++) {
-        const a = SOLID_START + (SOLID_END - SOLID_START) * (i/6);
-        pts.push(new THREE.Vector3(Math.sin(a)*hR, Math.cos(a)*hR, z));
+    const mFin = new THREE.MeshStandardMaterial({ color: 0x245d90, metalness: 0.60, roughness: 0.46 });
+    // sizes per degree of solid arc: 48 barrel segments, 6 ring segments and 18 fins on the default 170°
+    const BARREL_SEG = 170 / 48, RING_SEG = 170 / 6, FIN_PITCH = 170 / 18;
+    const finH = 0.008, finT = 0.0024, finLen = hL * 0.84;
+    const buildHousing = ({ start, end }) => {
+      const CUT_START = start * Math.PI / 180;
+      const CUT_END   = end * Math.PI / 180;
+      // The SOLID arc is the remainder: from CUT_END to CUT_START + 2π
+      const SOLID_START = CUT_END;
+      const SOLID_END   = CUT_START + Math.PI * 2;
+      const arc = 360 - (end - start);   // solid arc, degrees
+
+      // ── HOUSING BARREL (solid back arc) ──
+      if (arc > 0) {
+        const housingMesh = new THREE.Mesh(partialCylinder(hR, hL, SOLID_START, SOLID_END, Math.max(4, Math.round(arc / BARREL_SEG))), mHousing);
+        housingMesh.userData = { compId: "housing" };
+        housingG.add(housingMesh);
       }
-      statorG.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(pts), edgeMat));
-    });
 
-    // ── COOLING FINS (only on the solid back arc) ──
-    const FIN_COUNT = 18, finH = 0.008, finT = 0.0024, finLen = hL * 0.84;
-    for (let i = 0; i < FIN_COUNT; i++) {
-      const a = SOLID_START + (SOLID_END - SOLID_START) * ((i + 0.5) / FIN_COUNT);
-      const fin = new THREE.Mesh(
-        new THREE.BoxGeometry(finT, finH, finLen),
-        new THREE.MeshStandardMaterial({ color: 0x245d90, metalness: 0.60, roughness: 0.46 })
-      );
-      fin.position.set(Math.sin(a) * (hR + finH*0.5), Math.cos(a) * (hR + finH*0.5), 0);
-      // Rotate fin so its tall axis points radially
-      fin.rotation.z = -a;  // align the fin plate radially
-      fin.userData = { compId: "housing" };
-      statorG.add(fin);
-    }
+      // ── HOUSING CUT-FACE EDGES (bright lines at the cut boundaries) ──
+      if (arc > 0 && arc < 360) {
+        [CUT_START, CUT_END].forEach((a) => {
+          const cx = Math.sin(a) * hR, cy = Math.cos(a) * hR;
+          const pts = [new THREE.Vector3(cx, cy, -hL*0.5), new THREE.Vector3(cx, cy, hL*0.5)];
+          housingG.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(pts), edgeMat));
+        });
+      }
+      // two arc-end rings (partial)
+      const ringN = Math.max(2, Math.round(arc / RING_SEG));
+      if (arc > 0) [-hL*0.5, hL*0.5].forEach((z) => {
+        const pts = [];
+        for (let i = 0; i <= ringN; i++) {
+          const a = SOLID_START + (SOLID_END - SOLID_START) * (i/ringN);
+          pts.push(new THREE.Vector3(Math.sin(a)*hR, Math.cos(a)*hR, z));
+        }
+        housingG.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(pts), edgeMat));
+      });
+
+      // ── COOLING FINS (only on the solid back arc) ──
+      const finN = Math.round(arc / FIN_PITCH);
+      for (let i = 0; i < finN; i++) {
+        const a = SOLID_START + (SOLID_END - SOLID_START) * ((i + 0.5) / finN);
+        const fin = new THREE.Mesh(new THREE.BoxGeometry(finT, finH, finLen), mFin);
+        fin.position.set(Math.sin(a) * (hR + finH*0.5), Math.cos(a) * (hR + finH*0.5), 0);
+        // Rotate fin so its tall axis points radially
+        fin.rotation.z = -a;  // align the fin plate radially
+        fin.userData = { compId: "housing" };
+        housingG.add(fin);
+      }
+    };
+    let builtCut = secRef.current.cut;
+    buildHousing(builtCut);
 
     // ── END CAPS ──
     // Drive-side (z < 0) — solid
@@ -284,6 +521,8 @@ function MotorViewer({ highlightId }) {
     });
 
     // ── BEARINGS ──
+    const BEARING_SPAN = hL + 2*ecT + 0.004;   // between the two bearing centres
+    const MAX_SHIFT = 0.02;                   // amplified excursion kept within the housing
     [{ z: -(hL*0.5 + ecT + 0.002), id: "bearing_drive" },
      { z:  (hL*0.5 + ecT + 0.002), id: "bearing_fan"   }].forEach(({ z, id }) => {
       const oR = 0.027, iR = 0.015, mR = (oR+iR)*0.5, bR = 0.0038;
@@ -428,6 +667,7 @@ function MotorViewer({ highlightId }) {
     const finH_val = 0.008; // reuse for label 9
     labelPositions[8].pos.y = -(hR + finH_val + 0.014);
 
+    const labels = [];
     labelPositions.forEach(({ num, pos, id }) => {
       const canvas = document.createElement("canvas");
       canvas.width = 128; canvas.height = 128;
@@ -450,12 +690,41 @@ function MotorViewer({ highlightId }) {
       sp.position.copy(pos);
       sp.scale.set(0.026, 0.026, 1);
       sp.userData = { compId: id, isLabel: true };
-      scene.add(sp);
+      scene.add(sp); labels.push(sp);
     });
 
+    // ── EXPLODE ──
+    // Sub-assemblies slide apart along the shaft axis by a multiple of the
+    // spread: the rotor out of the drive side, each end cap with its bearing
+    // off its end, the fan and then its guard beyond the fan-side cap. The
+    // stator, housing and junction box stay; `motor` recentres the whole.
+    const EXPLODE_STEPS = { bearing_drive: -2, bearing_fan: 1.5, fan_guard: 3.5 };
+    const ROTOR_STEP = -1, FAN_STEP = 2.5, MOTOR_SHIFT = -0.75;
+    const compOf = (o) => { let id = o.userData.compId; o.traverse((c) => { id = id || c.userData.compId; }); return id; };
+    const exploding = [
+      ...statorG.children.map(o => [o, EXPLODE_STEPS[compOf(o)] || 0]).filter(([, k]) => k),
+      [rotorG, ROTOR_STEP], [fanG, FAN_STEP - ROTOR_STEP], [motor, MOTOR_SHIFT],
+    ].map(([o, k]) => ({ o, k, z: o.position.z }));
+    // labels sit in the scene, so they take their part's step plus the recentring
+    // (the fan-guard label marks the fan)
+    const labelSteps = { ...EXPLODE_STEPS, shaft: ROTOR_STEP, rotor_bars: ROTOR_STEP, fan_guard: FAN_STEP };
+    labels.forEach(sp => { sp.userData.z = sp.position.z; sp.userData.step = (labelSteps[sp.userData.compId] || 0) + MOTOR_SHIFT; });
+    let ex = 0;   // 0 assembled … 1 fully exploded, eased towards the target
+
     // ── STORE ──
     const origMats = new Map();
     motor.traverse((c) => { if (c.isMesh) origMats.set(c, c.material); });
+    // status tint: a clone of each part's own material with a warning / critical glow
+    const tinted = new Map();
+    const tintOf = (c, status) => {
+      const key = `${c.uuid}:${status}`;
+      if (!tinted.has(key)) {
+        const m = origMats.get(c).clone();
+        m.emissive = new THREE.Color(STATUS_COLOR[status]);
+        tinted.set(key, m);
+      }
+      return tinted.get(key);
+    };
 
     // bearing ball groups (for orbit anim)
     const bbGroups = [];
@@ -465,13 +734,168 @@ function MotorViewer({ highlightId }) {
       }
     });
 
+    // ── PICKING ──
+    // The part under the pointer; see-through parts (the fan-side end cap) let
+    // the ray pass so what is visible behind them can be picked, and so does
+    // whatever a section plane has clipped away.
+    const ray = new THREE.Raycaster(), ndc = new THREE.Vector2();
+    const pick = (x, y) => {
+      const r = renderer.domElement.getBoundingClientRect();
+      ndc.set(((x - r.left) / r.width) * 2 - 1, -((y - r.top) / r.height) * 2 + 1);
+      ray.setFromCamera(ndc, camera);
+      const hit = ray.intersectObjects([motor, ...labels], true)
+        .find(h => h.object.userData.compId && !(h.object.material.transparent && h.object.material.opacity < 0.5)
+          && clip.every(p => p.distanceToPoint(h.point) >= 0));
+      return hit ? hit.object.userData.compId : null;
+    };
+    // hover outline: an enlarged back-face shell on every mesh of the part, made on first hover
+    const mOutline = new THREE.MeshBasicMaterial({ color: 0x9ff0ff, side: THREE.BackSide, transparent: true, opacity: 0.85, depthWrite: false });
+    const outlines = new Map();
+    const outlineOf = (id) => {
+      if (!outlines.has(id)) {
+        const shells = [];
+        motor.traverse((c) => {
+          if (!c.isMesh || c.userData.compId !== id) return;
+          const o = new THREE.Mesh(c.geometry, mOutline);
+          o.scale.setScalar(1.06); o.raycast = () => {}; o.visible = false;
+          c.add(o); shells.push(o);
+        });
+        outlines.set(id, shells);
+      }
+      return outlines.get(id);
+    };
+    // outlined: the hovered part, and in a colour mode the selected one too
+    let hovered = null, outlined = new Set();
+    const syncOutlines = () => {
+      const want = new Set([hovered, colRef.current && hlRef.current].filter(Boolean));
+      outlined.forEach(id => { if (!want.has(id)) outlineOf(id).forEach(o => { o.visible = false; }); });
+      want.forEach(id => { if (!outlined.has(id)) outlineOf(id).forEach(o => { o.visible = true; }); });
+      outlined = want;
+    };
+    const setHovered = (id) => {
+      if (id === hovered) return;
+      hovered = id;
+      syncOutlines();
+      container.style.cursor = id ? "pointer" : "grab";
+    };
+    // colour-mode material: a matte clone of the part's own, recoloured every frame
+    const heat = new Map();
+    const heatOf = (c) => {
+      if (!heat.has(c)) {
+        const m = origMats.get(c).clone();
+        m.metalness = 0.25; m.roughness = 0.6; m.emissiveIntensity = 0.3;
+        heat.set(c, m);
+      }
+      return heat.get(c);
+    };
+
+    // ── SECTION PLANES ──
+    // Local clipping on every part's material. Each cut face is capped in the
+    // part's own colour with the stencil trick: per part and colour, back faces
+    // count up and front faces down, which leaves a non-zero stencil exactly
+    // where the solid is cut open, and a plane drawn through the cut fills
+    // that. Open shells (the barrel, the guard side) and see-through parts
+    // stay uncapped.
+    const cuts = Object.keys(SECTION_PLANES).map((key, i) => {
+      const plane = new THREE.Plane();
+      const stencil = (side, op) => new THREE.MeshBasicMaterial({ side, colorWrite: false, depthWrite: false, depthTest: false,
+        stencilWrite: true, stencilFunc: THREE.AlwaysStencilFunc, stencilFail: op, stencilZFail: op, stencilZPass: op, clippingPlanes: [plane] });
+      return { key, i, plane, on: false, others: [], caps: new Map(),
+        back: stencil(THREE.BackSide, THREE.IncrementWrapStencilOp), front: stencil(THREE.FrontSide, THREE.DecrementWrapStencilOp) };
+    });
+    let clip = [];   // the enabled planes, shared by every part material
+    const capGeo = new THREE.PlaneGeometry(1.2, 1.2);
+    const capGroups = new Map();   // `${compId}:${colour}` → { n, comp, color }
+    const closed = (g) => g.parameters && !g.parameters.openEnded;
+    let sectioned = false;   // stencil meshes are made when a plane is first enabled
+    const addSections = (c) => {
+      const m = origMats.get(c);
+      if (!closed(c.geometry) || m.transparent) return;
+      const key = `${c.userData.compId}:${m.color.getHexString()}`;
+      if (!capGroups.has(key)) capGroups.set(key, { n: capGroups.size, comp: c.userData.compId, color: m.color.clone() });
+      const g = capGroups.get(key);
+      cuts.forEach((cut) => {
+        const order = 1 + 2 * (cut.i * 100 + g.n);
+        [cut.back, cut.front].forEach((mat) => {
+          const sm = new THREE.Mesh(c.geometry, mat);
+          sm.renderOrder = order; sm.raycast = () => {}; c.add(sm);
+        });
+        if (!cut.caps.has(key)) {
+          const cap = new THREE.Mesh(capGeo, new THREE.MeshStandardMaterial({ metalness: 0.1, roughness: 0.75, side: THREE.DoubleSide,
+            stencilWrite: true, stencilRef: 0, stencilFunc: THREE.NotEqualStencilFunc,
+            stencilFail: THREE.ReplaceStencilOp, stencilZFail: THREE.ReplaceStencilOp, stencilZPass: THREE.ReplaceStencilOp }));
+          cap.renderOrder = order + 1; cap.visible = false; cap.userData.group = g;
+          scene.add(cap); cut.caps.set(key, cap);
+        }
+      });
+    };
+    const HL_COLOR = new THREE.Color(0x00d4ff), capAt = new THREE.Vector3();
+    const syncSections = (sec, cols, hid) => {
+      const active = sectionPlanes(sec);
+      cuts.forEach((cut) => {
+        const p = active.find(a => a.key === cut.key);
+        cut.on = !!p;
+        if (p) { cut.plane.normal.fromArray(p.normal); cut.plane.constant = p.constant; }
+      });
+      const next = cuts.filter(c => c.on).map(c => c.plane);
+      if (next.length !== clip.length || next.some((p, i) => p !== clip[i])) {
+        clip = next;
+        cuts.forEach((cut) => { cut.others = clip.filter(p => p !== cut.plane); });
+      }
+      if (clip.length && !sectioned) { sectioned = true; origMats.forEach((m, c) => addSections(c)); }
+      mOutline.clippingPlanes = clip;
+      cuts.forEach((cut) => {
+        cut.back.visible = cut.front.visible = cut.on;
+        cut.plane.coplanarPoint(capAt);
+        cut.caps.forEach((cap) => {
+          cap.visible = cut.on;
+          if (!cut.on) return;
+          const g = cap.userData.group;
+          cap.position.copy(capAt);
+          cap.lookAt(capAt.x - cut.plane.normal.x, capAt.y - cut.plane.normal.y, capAt.z - cut.plane.normal.z);
+          cap.material.clippingPlanes = cut.others;
+          cap.material.color.copy((cols && cols[g.comp]) || (hid === g.comp ? HL_COLOR : g.color));
+        });
+      });
+    };
+    // new barrel and fins for a changed cutaway arc
+    const rebuildHousing = (cut) => {
+      housingG.children.slice().forEach((c) => {
+        housingG.remove(c); c.geometry.dispose();
+        origMats.delete(c); heat.get(c)?.dispose(); heat.delete(c);
+      });
+      if (outlines.has("housing")) {
+        outlines.get("housing").forEach(o => o.parent.remove(o));
+        outlines.delete("housing"); outlined.delete("housing");
+      }
+      buildHousing(cut);
+      housingG.children.forEach((c) => { if (c.isMesh) { origMats.set(c, c.material); if (sectioned) addSections(c); } });
+      builtCut = cut;
+    };
+
     // ── ORBIT ──
-    let isDrag = false, prev = { x: 0, y: 0 };
+    // A press that moves less than a few pixels before release is a click and
+    // selects the part under it (or clears the selection); anything more orbits.
+    let isDrag = false, moved = 0, prev = { x: 0, y: 0 };
     const sph = new THREE.Spherical().setFromVector3(camera.position);
-    const onDown = (x,y) => { isDrag = true; prev = {x,y}; };
-    const onUp   = () => { isDrag = false; };
+    const onDown = (x,y) => { isDrag = true; moved = 0; prev = {x,y}; };
+    const reportView = () => viewCbRef.current?.({ theta: sph.theta, phi: sph.phi, radius: sph.radius });
+    const onUp   = (e) => {
+      if (isDrag && moved < 5 && e.target === renderer.domElement) {
+        const p = e.changedTouches ? e.changedTouches[0] : e;
+        selRef.current?.(pick(p.clientX, p.clientY));
+      } else if (isDrag) reportView();
+      isDrag = false;
+    };
     const onMove = (x,y) => {
-      if (!isDrag) return;
+      if (!isDrag) {
+        const id = pick(x, y);
+        setHovered(id);
+        setHover(id ? { id, x: x - container.getBoundingClientRect().left, y: y - container.getBoundingClientRect().top } : null);
+        return;
+      }
+      moved += Math.abs(x - prev.x) + Math.abs(y - prev.y);
+      if (moved >= 5) { setHovered(null); setHover(null); }
       sph.theta -= (x - prev.x) * 0.005;
       sph.phi   -= (y - prev.y) * 0.005;
       sph.phi = Math.max(0.15, Math.min(Math.PI-0.15, sph.phi));
@@ -483,31 +907,82 @@ function MotorViewer({ highlightId }) {
       e.preventDefault();
       sph.radius = Math.max(0.22, Math.min(0.9, sph.radius + e.deltaY*0.0004));
       camera.position.setFromSpherical(sph); camera.lookAt(0,0,0);
+      reportView();
     };
     renderer.domElement.addEventListener("mousedown", (e) => onDown(e.clientX, e.clientY));
     window.addEventListener("mouseup", onUp);
     renderer.domElement.addEventListener("mousemove", (e) => onMove(e.clientX, e.clientY));
+    renderer.domElement.addEventListener("mouseleave", () => { setHovered(null); setHover(null); });
     renderer.domElement.addEventListener("wheel", onWheel, { passive: false });
     renderer.domElement.addEventListener("touchstart", (e) => { if(e.touches.length===1) onDown(e.touches[0].clientX, e.touches[0].clientY); }, {passive:true});
     renderer.domElement.addEventListener("touchmove",  (e) => { e.preventDefault(); if(e.touches.length===1) onMove(e.touches[0].clientX, e.touches[0].clientY); }, {passive:false});
     renderer.domElement.addEventListener("touchend", onUp);
 
+    reportView();
+
     // ── ANIMATE ──
+    let shownView = null;
     const animate = () => {
       animRef.current = requestAnimationFrame(animate);
       timeRef.current += 0.016;
-      const angV = (1740/60)*Math.PI*2;
-      rotorG.rotation.z = timeRef.current * angV;
-      fanG.rotation.z   = timeRef.current * angV; // fan spins with rotor
+      angRef.current  += (rpmRef.current/60)*Math.PI*2 * 0.016;
+      rotorG.rotation.z = angRef.current;
+      fanG.rotation.z   = angRef.current; // fan spins with rotor
+
+      // shaft motion: the orbits at both bearings, amplified; the rotor centre
+      // follows their mean and tilts with their difference over the bearing span
+      const { orbits: orb, amplify: amp } = orbRef.current;
+      if (orb && amp) {
+        const k = amp * 1e-6;   // µm → m
+        const [dx, dy] = orbitPoint(orb.bearing_drive, angRef.current, timeRef.current);
+        const [fx, fy] = orbitPoint(orb.bearing_fan, angRef.current, timeRef.current);
+        const lim = (v) => Math.max(-MAX_SHIFT, Math.min(MAX_SHIFT, v));
+        rotorG.position.x = lim((dx + fx) / 2 * k);
+        rotorG.position.y = lim((dy + fy) / 2 * k);
+        rotorG.rotation.y = Math.atan2(lim((fx - dx) * k), BEARING_SPAN);
+        rotorG.rotation.x = -Math.atan2(lim((fy - dy) * k), BEARING_SPAN);
+      } else {
+        rotorG.position.x = rotorG.position.y = 0;
+        rotorG.rotation.x = rotorG.rotation.y = 0;
+      }
 
       // bearing balls orbit
-      bbGroups.forEach((g) => { g.rotation.z = timeRef.current * angV * 0.44; });
+      bbGroups.forEach((g) => { g.rotation.z = angRef.current * 0.44; });
+
+      // explode / collapse
+      const { on, spread: sp } = exRef.current;
+      ex += ((on ? 1 : 0) - ex) * 0.08;
+      if (Math.abs(ex - (on ? 1 : 0)) < 1e-4) ex = on ? 1 : 0;
+      exploding.forEach(({ o, k, z }) => { o.position.z = z + k * ex * sp; });
+      labels.forEach(l => { l.position.z = l.userData.z + l.userData.step * ex * sp; });
+
+      // a requested camera view (section presets)
+      if (viewRef.current && viewRef.current !== shownView) {
+        shownView = viewRef.current;
+        sph.set(shownView.radius, shownView.phi, shownView.theta);
+        camera.position.setFromSpherical(sph); camera.lookAt(0,0,0);
+        reportView();
+      }
 
-      // highlight
-      const hid = hlRef.current;
+      // colour mode, else highlight, then status tint (critical parts pulse)
+      const hid = hlRef.current, st = stRef.current || {}, cols = colRef.current;
+      const glow = 0.35 + 0.25 * Math.sin(timeRef.current * 6);
+      const sec = secRef.current;
+      if (sec.cut.start !== builtCut.start || sec.cut.end !== builtCut.end) rebuildHousing(sec.cut);
+      syncSections(sec, cols, hid);
+      syncOutlines();
       motor.traverse((c) => {
-        if (c.isMesh && !c.userData.isLabel) {
-          c.material = (hid && c.userData.compId === hid) ? mHLIGHT : (origMats.get(c) || c.material);
+        if (c.isMesh && !c.userData.isLabel && origMats.has(c)) {
+          const status = st[c.userData.compId];
+          if (cols && cols[c.userData.compId]) {
+            c.material = heatOf(c);
+            c.material.color.copy(cols[c.userData.compId]); c.material.emissive.copy(cols[c.userData.compId]);
+          } else if (hid && c.userData.compId === hid) c.material = mHLIGHT;
+          else if (status === "warning" || status === "critical") {
+            c.material = tintOf(c, status);
+            c.material.emissiveIntensity = status === "critical" ? glow : 0.25;
+          } else c.material = origMats.get(c) || c.material;
+          c.material.clippingPlanes = clip;
         }
       });
 
@@ -534,18 +1009,36 @@ function MotorViewer({ highlightId }) {
       cancelAnimationFrame(animRef.current);
       window.removeEventListener("resize", onResize);
       window.removeEventListener("mouseup", onUp);
+      tinted.forEach(m => m.dispose());
+      mOutline.dispose();
+      heat.forEach(m => m.dispose());
+      cuts.forEach((cut) => { cut.back.dispose(); cut.front.dispose(); cut.caps.forEach(cap => cap.material.dispose()); });
+      capGeo.dispose();
       renderer.dispose();
       if (container.contains(renderer.domElement)) container.removeChild(renderer.domElement);
     };
   }, []);
 
-  return <div ref={mountRef} style={{ width:"100%", height:"100%", cursor:"grab" }} />;
+  const hp = hover && parts?.find(p => p.id === hover.id);
+  return (
+    <div style={{ position:"relative", width:"100%", height:"100%" }}>
+      <div ref={mountRef} style={{ width:"100%", height:"100%", cursor:"grab" }} />
+      {hp && (
+        <div style={{ position:"absolute", left:hover.x + 12, top:hover.y + 12, pointerEvents:"none", background:"rgba(6,14,26,0.92)", border:`1px solid ${T.cardBorder}`, borderRadius:6, padding:"4px 8px", fontSize:10, whiteSpace:"nowrap" }}>
+          <span style={{ color:T.text, fontWeight:700 }}>{hp.icon} {hp.label}</span>
+          <span style={{ color:hp.color, marginLeft:8 }}>{hp.health === null ? "—" : `${hp.health}%`}</span>
+          <span style={{ color:T.textMuted, marginLeft:6, textTransform:"uppercase", fontSize:8.5 }}>{hp.status}</span>
+        </div>
+      )}
+    </div>
+  );
 }
 
 // ─── LABEL LEGEND (HTML overlay) ──────────────────────
-function LabelLegend() {
+// `right` leaves room for the colour legend
+function LabelLegend({ right = 6 }) {
   return (
-    <div style={{ position:"absolute", bottom:6, left:6, display:"flex", flexWrap:"wrap", gap:4, pointerEvents:"none", zIndex:2 }}>
+    <div style={{ position:"absolute", bottom:6, left:6, right, display:"flex", flexWrap:"wrap", gap:4, pointerEvents:"none", zIndex:2 }}>
       {LABEL_LEGEND.map(({ num, label }) => (
         <div key={num} style={{
           display:"flex", alignItems:"center", gap:4,
@@ -565,38 +1058,75 @@ function LabelLegend() {
   );
 }
 
+// ─── COLOUR LEGEND ────────────────────────────────────
+// Scale of the active 3D colour mode, beside the label legend.
+function ColorLegend({ mode, range }) {
+  const m = VIEW_MODES[mode], pos = (v) => `${100 * (v - range.lo) / (range.hi - range.lo)}%`;
+  return (
+    <div style={{ position:"absolute", bottom:6, right:6, width:150, pointerEvents:"none", zIndex:2, background:"rgba(8,18,32,0.78)", border:"1px solid rgba(100,170,210,0.35)", borderRadius:4, padding:"4px 8px 14px" }}>
+      <div style={{ fontSize:9, color:"#8ab0c4", fontWeight:600, marginBottom:3 }}>{m.label} · {m.unit}</div>
+      <div style={{ position:"relative", height:8, borderRadius:2, background:cssGradient(m.scale) }}>
+        {range.ticks.map(v => (
+          <span key={v} style={{ position:"absolute", left:pos(v), top:9, transform:"translateX(-50%)", fontSize:8, color:T.textDim }}>{+v.toFixed(1)}</span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 // ─── HEALTH BAR ───────────────────────────────────────
 function HealthBar({ value, color }) {
   return (
     <div style={{ width:"100%", height:6, background:"#0a1e35", borderRadius:3, overflow:"hidden" }}>
-      <div style={{ width:`${value}%`, height:"100%", borderRadius:3, background:`linear-gradient(90deg,${color}88,${color})`, boxShadow:`0 0 6px ${color}55`, transition:"width .6s ease" }} />
+      <div style={{ width:`${value ?? 0}%`, height:"100%", borderRadius:3, background:`linear-gradient(90deg,${color}88,${color})`, boxShadow:`0 0 6px ${color}55`, transition:"width .6s ease" }} />
     </div>
   );
 }
 
 // ─── COMP CARD ────────────────────────────────────────
-function CompCard({ comp, isSelected, onClick }) {
+// Hover shows what the health index is made of. The dot follows the card's
+// alarm: blinking while unacknowledged (hollow once cleared), steady when
+// acknowledged; without an alarm a steady dot marks a non-good status.
+function CompCard({ comp, alarm, isSelected, onClick }) {
+  const [hover, setHover] = useState(false);
   const bc = isSelected ? T.accent : comp.status==="critical" ? T.danger : comp.status==="warning" ? T.warn : T.cardBorder;
+  const dot = alarm ? PRIORITY_COLOR[alarm.priority] : comp.status==="critical" ? T.danger : T.warn;
   return (
-    <div onClick={onClick} style={{ background: isSelected?"rgba(0,180,216,0.07)":T.card, border:`1px solid ${bc}`, borderRadius:8, padding:"10px 12px", cursor:"pointer", transition:"all .2s", position:"relative", boxShadow: isSelected?`0 0 12px ${T.accent}30`:"none" }}>
-      {comp.status!=="good" && <div style={{ position:"absolute", top:8, right:8, width:8, height:8, borderRadius:"50%", background: comp.status==="critical"?T.danger:T.warn, boxShadow:`0 0 6px ${comp.status==="critical"?T.danger:T.warn}`, animation:"pulse 1.8s infinite" }} />}
+    <div onClick={onClick} onMouseEnter={()=>setHover(true)} onMouseLeave={()=>setHover(false)} style={{ background: isSelected?"rgba(0,180,216,0.07)":T.card, border:`1px solid ${bc}`, borderRadius:8, padding:"10px 12px", cursor:"pointer", transition:"all .2s", position:"relative", boxShadow: isSelected?`0 0 12px ${T.accent}30`:"none" }}>
+      {(alarm || comp.status!=="good") && <div title={alarm ? `${ALARM_PRIORITIES[alarm.priority].label} alarm · ${ALARM_STATES[alarm.state].label}` : undefined}
+        style={{ position:"absolute", top:8, right:8, width:8, height:8, boxSizing:"border-box", borderRadius:"50%", background:alarm?.state==="rtn_unack"?"transparent":dot, border:`2px solid ${dot}`, boxShadow:`0 0 6px ${dot}`, animation:alarm && alarm.state!=="ack"?"pulse 1.8s infinite":"none" }} />}
       <div style={{ display:"flex", alignItems:"center", gap:8, marginBottom:6 }}>
         <span style={{ fontSize:16 }}>{comp.icon}</span>
         <span style={{ fontSize:11, fontWeight:700, color:T.text, letterSpacing:0.5 }}>{comp.label}</span>
       </div>
       <HealthBar value={comp.health} color={comp.color} />
       <div style={{ display:"flex", justifyContent:"space-between", marginTop:5 }}>
-        <span style={{ fontSize:10, color:comp.color, fontWeight:700 }}>{comp.health}%</span>
+        <span style={{ fontSize:10, color:comp.color, fontWeight:700 }}>{comp.health === null ? "—" : `${comp.health}%`}</span>
         <span style={{ fontSize:9, color:T.textMuted, textTransform:"uppercase", letterSpacing:0.8 }}>{comp.status}</span>
       </div>
+      {comp.envelope.length > 0 && <div style={{ marginTop:4, fontSize:8.5, color:T.warn, letterSpacing:0.5 }} title="Defect lines found by envelope analysis">〰 {comp.envelope.map(d => d.name).join(" · ")}</div>}
+      {hover && comp.healthParts.length > 0 && (
+        <div style={{ position:"absolute", top:"100%", left:0, right:0, paddingTop:4, zIndex:20, cursor:"default" }}>
+          <div style={{ background:T.card, border:`1px solid ${T.cardBorder}`, borderRadius:6, padding:"6px 8px", boxShadow:"0 6px 20px rgba(0,0,0,0.5)" }}>
+            {comp.healthParts.map(p => (
+              <div key={p.key} style={{ display:"grid", gridTemplateColumns:"1fr auto 30px", gap:6, fontSize:8.5, padding:"1px 0" }}>
+                <span style={{ color:T.textDim }} title={`weight ${(p.weight * 100).toFixed(0)} % · score ${(p.score * 100).toFixed(0)} %`}>{p.label}</span>
+                <span style={{ color:T.text }}>{p.text}</span>
+                <span style={{ textAlign:"right", color:p.loss >= 10 ? T.warn : T.textMuted }}>−{p.loss.toFixed(0)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 }
 
-function FaultBadge({ text }) {
+function FaultBadge({ text, confidence, active, onClick }) {
   return (
-    <div style={{ display:"inline-flex", alignItems:"center", gap:5, background:"rgba(255,71,87,0.12)", border:"1px solid rgba(255,71,87,0.3)", borderRadius:20, padding:"3px 10px", fontSize:10, color:T.danger, fontWeight:600 }}>
+    <div onClick={onClick} style={{ display:"inline-flex", alignItems:"center", gap:5, background:active?"rgba(255,71,87,0.22)":"rgba(255,71,87,0.12)", border:`1px solid ${active?T.danger:"rgba(255,71,87,0.3)"}`, borderRadius:20, padding:"3px 10px", fontSize:10, color:T.danger, fontWeight:600, cursor:onClick?"pointer":"default" }}>
       <span style={{ width:5, height:5, borderRadius:"50%", background:T.danger, display:"inline-block" }} />{text}
+      {confidence !== undefined && <span style={{ marginLeft:"auto", fontSize:9, background:"rgba(255,71,87,0.2)", borderRadius:8, padding:"0 6px" }} title="Classifier confidence">{Math.round(confidence * 100)} %</span>}
     </div>
   );
 }
@@ -611,6 +1141,9 @@ function StatBox({ label, value, unit, color, icon }) {
   );
 }
 
+// rounding that lets missing values (null) through as chart gaps
+const fix = (v, k) => (v == null ? null : +v.toFixed(k));
+
 const CustomTooltip = ({ active, payload, label }) => {
   if (!active || !payload?.length) return null;
   return (
@@ -624,47 +1157,303 @@ const CustomTooltip = ({ active, payload, label }) => {
 // ─── APP ──────────────────────────────────────────────
 export default function App() {
   const [selectedComp, setSelectedComp] = useState(null);
+  const [viewMode, setViewMode] = useState("normal");   // 3D colouring: normal or a VIEW_MODES key
+  const [exploded, setExploded] = useState(false);
+  const [spread, setSpread]     = useState(0.04);       // exploded-view step along the shaft (m)
+  const [motion, setMotion]     = useState(true);       // exaggerated shaft motion in 3D
+  const [amplify, setAmplify]   = useState(50);         // × true displacement
+  const [section, setSection]   = useState(DEFAULT_SECTION);   // cutaway arc and clipping planes
+  const [sectionOpen, setSectionOpen] = useState(false);
+  const [presets, setPresets]   = useState(loadSectionPresets);
+  const [camView, setCamView]   = useState(null);   // camera view requested by a preset
+  const camNow = useRef(null);                      // camera view as last orbited
   const [activeTab, setActiveTab] = useState("vibration");
-  const [time, setTime] = useState(0);
-  useEffect(() => { const iv = setInterval(() => setTime(t=>t+1),1000); return ()=>clearInterval(iv); }, []);
 
-  const selComp = COMPONENTS.find(c => c.id === selectedComp);
-  const critCount = COMPONENTS.filter(c => c.status==="critical").length;
-  const warnCount = COMPONENTS.filter(c => c.status==="warning").length;
-  const allFaults = COMPONENTS.flatMap(c => c.faults.map(f => ({ fault:f, comp:c.label, status:c.status })));
+  // live twin: the sampler carries the thermal state, the stream buffers every channel
+  const [faults, setFaults] = useState(INITIAL_FAULTS);
+  const [sampler] = useState(() => createSampler({ faults: INITIAL_FAULTS }));
+  const [stream] = useState(() => createStream({ source: sampler.next }));
+  useEffect(() => { sampler.setFaults(faults); }, [sampler, faults]);
+  useEffect(() => { stream.start(); return () => stream.stop(); }, [stream]);
+  // optional WebSocket / MQTT feed: measured channels are written over the twin's sample
+  const [source, setSource] = useState(null);   // { kind: "ws" | "mqtt", url }
+  const [mapping, setMapping] = useState(loadMapping);
+  const [link, setLink] = useState(null);
+  const topics = source?.kind === "mqtt" ? mapping : null;
+  useEffect(() => {
+    if (!source) return;
+    const l = createTelemetryLink({ ...source, mapping: topics || [], onStatus: setLink });
+    stream.setSource((t) => applyChannels(sampler.next(t), l.channels()));
+    return () => { l.close(); stream.setSource(sampler.next); };
+  }, [stream, sampler, source, topics]);
+  const updateMapping = (m) => { saveMapping(m); setMapping(m); };
+  const updatePresets = (p) => { saveSectionPresets(p); setPresets(p); };
+  const applyPreset = (p) => { setSection(p.section); setCamView({ ...p.camera }); };
+  const frame = useSyncExternalStore(stream.subscribe, stream.getFrame, stream.getFrame);
+  const [span, setSpan] = useState(60);
+  const latest = frame.latest;
+  const [insulation, setInsulation] = useState("F");
+  // vibration severity class (ISO 10816-3): machine group and foundation
+  const [iso, setIso] = useState({ group: "group2", mounting: "rigid" });
+  const limits = zoneLimits(iso);
+
+  // recorded data: a file awaiting column mapping, then the loaded recording
+  // and its player; while one is loaded it replaces the live view
+  const [importing, setImporting] = useState(null);   // { name, table }
+  const [recording, setRecording] = useState(null);
+  const [replay, setReplay] = useState({ pos: 0, speed: 1, playing: false });
+  useEffect(() => {
+    if (!recording || !replay.playing) return;
+    const iv = setInterval(() => setReplay(r => {
+      const pos = Math.min(recording.duration, r.pos + 0.1 * r.speed);
+      return { ...r, pos, playing: pos < recording.duration };
+    }), 100);
+    return () => clearInterval(iv);
+  }, [recording, replay.playing]);
+  const openFile = (file) => file && file.text().then(text => {
+    try { setImporting({ name: file.name, table: parseRecording(text, file.name) }); }
+    catch (e) { window.alert(`Cannot read ${file.name}: ${e.message}`); }
+  });
+  const loadRecording = (rec) => { setImporting(null); setRecording(rec); setReplay({ pos: 0, speed: 1, playing: true }); };
+
+  const view = useMemo(() => (recording ? recordingSample(recording, replay.pos) : latest), [recording, replay.pos, latest]);
+  const series = useMemo(() => (recording ? recordingWindow(recording, replay.pos, span) : frame.window(span)), [recording, replay.pos, frame, span]);
+
+  // envelope analysis of both bearings: the waveforms are synthesised every
+  // ANALYSIS_EVERY s of stream time and on the next tick after the faults
+  // change, the spectra again whenever the settings change
+  const [envLoc, setEnvLoc] = useState("bearing_drive");
+  const [envSettings, setEnvSettings] = useState({ band: "auto", method: "hilbert", nfft: 8192, fmax: 500 });
+  const [envWaves, setEnvWaves] = useState(() => envelopeWaves(stream.getFrame().latest, INITIAL_FAULTS));
+  useEffect(() => {
+    if (recording) return;
+    let last = -Infinity;
+    return stream.subscribe(() => {
+      const d = stream.getFrame().latest;
+      if (d.t - last < ANALYSIS_EVERY) return;
+      last = d.t;
+      setEnvWaves(envelopeWaves(d, faults));
+    });
+  }, [stream, faults, recording]);
+  const envelopes = useMemo(() => Object.fromEntries(Object.entries(BEARINGS).map(([loc, b]) => {
+    const band = resolveBand(envSettings.band, b.resonance, VIB_FS);
+    const spec = envelopeSpectrum(envWaves.x[loc], VIB_FS, { band, method: envSettings.method, nfft: envSettings.nfft });
+    return [loc, { band, spec, flags: flagDefects(spec, b, envWaves.fr) }];
+  })), [envWaves, envSettings]);
+  // a feed brings no waveforms: while it overwrites any channel the envelope
+  // still shows the twin's, and neither its flags nor the classifier's
+  // diagnoses are put on the cards
+  const fed = !recording && latest.measured?.length > 0;
+  // one spectrum frame per live channel on every stream tick while the
+  // waterfall is shown; it starts over whenever the tab is opened
+  const [waterfall, setWaterfall] = useState({});
+  const waterfallOpen = activeTab === "waterfall";
+  useEffect(() => {
+    if (recording || !waterfallOpen) return;
+    let last = null;
+    return stream.subscribe(() => {
+      const d = stream.getFrame().latest;
+      if (d === last) return;
+      last = d;
+      const frames = streamFrames(d.op, faults, d.t);
+      setWaterfall(w => appendFrames(w, frames));
+    });
+  }, [stream, faults, recording, waterfallOpen]);
+  // statistical anomaly detection on every live channel: a commissioning
+  // window learns the baseline, then each new sample updates the charts
+  const [detector] = useState(() => createAnomalyDetector());
+  const [anomaly, setAnomaly] = useState(() => detector.snapshot());
+  useEffect(() => {
+    let last = null;
+    return stream.subscribe(() => {
+      const d = stream.getFrame().latest;
+      if (d === last) return;
+      last = d;
+      detector.push(d.t, channelsOf(d));
+      setAnomaly(detector.snapshot());
+    });
+  }, [stream, detector]);
+  const recommission = () => { detector.reset(); setAnomaly(detector.snapshot()); };
+  // ISA-18.2 alarm life cycle over the Active Faults findings
+  const [alarms] = useState(() => createAlarmManager());
+  const alarmList = useSyncExternalStore(alarms.subscribe, alarms.getSnapshot, alarms.getSnapshot);
+  const [alarmHistory, setAlarmHistory] = useState(false);
+  const [commenting, setCommenting] = useState(null);   // { id, text } of the alarm being annotated
+  // phase currents: the twin's waveforms (1 s, whole cycles) give phasors and
+  // sequence components; a recording, or a feed measuring any phase, only has
+  // the three RMS values
+  const fedPhases = !recording && ["phaseA", "phaseB", "phaseC"].some(k => latest.measured?.includes(k));
+  const phases = useMemo(() => {
+    if (!recording && !fedPhases) return analysePhases(synthCurrents(currentModel(latest.op, faults), { fs: CUR_FS, n: CUR_FS, t0: latest.t }), CUR_FS);
+    const rms = [view.phaseA, view.phaseB, view.phaseC];
+    return rms.every(v => v !== null) ? { rms, phasors: null, seq: null, nema: nemaUnbalance(rms), iec: null } : null;
+  }, [recording, fedPhases, latest, faults, view]);
+  const unbalance = useMemo(() => phases && unbalanceFault(phases), [phases]);
+  // fault diagnosis on the envelope's cadence. It describes the twin, so it
+  // is held back while a feed supplies readings of the real motor.
+  const [diagnosis, setDiagnosis] = useState(() => diagnose(stream.getFrame().latest, INITIAL_FAULTS));
+  useEffect(() => {
+    if (recording) return;
+    let last = -Infinity;
+    return stream.subscribe(() => {
+      const d = stream.getFrame().latest;
+      if (d.measured?.length || d.t - last < ANALYSIS_EVERY) return;
+      last = d.t;
+      setDiagnosis(diagnose(d, faults));
+    });
+  }, [stream, faults, recording]);
+  const [diagSel, setDiagSel] = useState(null);   // class id explained in Component Detail
+  const [healthCfg, setHealthCfg] = useState(HEALTH_DEFAULTS);
+  const [healthHover, setHealthHover] = useState(false);
+  const components = useMemo(() => applyHealth(applyUnbalance(recording
+    ? buildReplayComponents(view, limits, INSULATION[insulation])
+    : buildComponents(view, fed ? [] : diagnosis, limits, INSULATION[insulation], fed ? {} : envelopes), unbalance), {
+    limits, unbalance: phases ? phases.iec ?? phases.nema : null,
+    anomaly: recording || anomaly.learning ? null : anomaly.channels, weights: healthCfg.weights,
+  }), [recording, view, diagnosis, limits, insulation, fed, envelopes, phases, unbalance, anomaly, healthCfg]);
+  const motor = useMemo(() => motorHealth(components, healthCfg.criticality), [components, healthCfg]);
+  const vibData  = series.map(d => ({ t: +d.t.toFixed(1), vibration: fix(d["bearing_drive.vibration"], 2) }));
+  const vibMax = +(limits[2] * 1.4).toFixed(1);
+  const tempData = series.map(d => ({
+    t: +d.t.toFixed(1), limit: INSULATION[insulation],
+    ...Object.fromEntries(TEMP_NODES.map(([id]) => [id, fix(d[`${id}.temp`], 1)])),
+  }));
+  const curData  = series.map(d => ({ t: +d.t.toFixed(1), phaseA: fix(d.phaseA, 2), phaseB: fix(d.phaseB, 2), phaseC: fix(d.phaseC, 2), drive: fix(d["drive.current"], 2) }));
+  const drive = view.drive;   // inverter values, present while a drive gateway feeds the stream
+  // anomalous intervals in the window, shaded on the live trend charts
+  const winStart = series.length ? series[0].t : frame.t;
+  const anomalyAreas = (chart) => (recording ? null : anomaly.episodes
+    .filter(e => (e.channel === T2_CHANNEL || ANOMALY_CHARTS[chart](e.channel)) && (e.end ?? frame.t) >= winStart)
+    .map(e => <ReferenceArea key={e.id} x1={Math.max(e.start, winStart)} x2={Math.max(e.end ?? frame.t, e.start + 1 / frame.rate)} fill={T.warn} fillOpacity={0.12} stroke="none" ifOverflow="hidden" />));
+  const timeAxis = { dataKey: "t", type: "number", domain: ["dataMin", "dataMax"], tickFormatter: fmtClock };
+
+  // transient scenario ("" = steady running) and its slow-motion replay clock
+  const [scenario, setScenario] = useState("");
+  const [curView, setCurView] = useState("trend");   // steady running: trend chart or phasor diagram
+  const [playT, setPlayT] = useState(0);
+  const trData = useMemo(() => scenario ? simulate(scenario).map(d => ({
+    t: d.t, phaseA: +d.ia.toFixed(2), phaseB: +d.ib.toFixed(2), phaseC: +d.ic.toFixed(2), torque: +d.te.toFixed(2), rpm: Math.round(d.rpm),
+  })) : null, [scenario]);
+  useEffect(() => {
+    if (!scenario) return;
+    const dur = SCENARIOS[scenario].duration;
+    const iv = setInterval(() => setPlayT(t => Math.min(dur, t + 0.05 * REPLAY_RATE)), 50);
+    return () => clearInterval(iv);
+  }, [scenario]);
+  const runScenario = (key) => { setPlayT(0); setScenario(key); };
+  // short-time FFT of phase A across the transient, at the d-q output rate
+  const trFrames = useMemo(() => trData && stft(trData.map(d => d.phaseA), 1 / OUT_STEP, { nfft: 256, hop: 16 }), [trData]);
+  const rpm = trData ? trData[Math.min(trData.length - 1, Math.round(playT / OUT_STEP))].rpm : Math.round(view.rpm ?? latest.rpm);
+  // shaft orbit at each bearing for the 3D shaft motion: modelled from the
+  // faults in live mode, a plain whirl at the shown speed otherwise, and
+  // sized to the bearing's vibration reading either way
+  const orbits = useMemo(() => Object.fromEntries(["bearing_drive", "bearing_fan"].map(id => [id, shaftOrbit(id, {
+    op: recording || trData ? null : latest.op, faults, rpm, measured: components.find(c => c.id === id)?.vibration,
+  })])), [recording, trData, latest, faults, rpm, components]);
+
+  // degradation history (days) → remaining useful life per component; the
+  // newest point is the live reading, so the estimate follows the stream
+  const history = useMemo(() => generateHistory(30, 0.5, { faults }), [faults]);
+  const rul = useMemo(() => Object.fromEntries(Object.entries(RUL_INDICATORS).map(([id, ind]) => [
+    id, formatRul(estimateRul([
+      ...history.slice(0, -1).map(d => ({ t: d.t, value: d.components[id][ind.key] })),
+      { t: 0, value: latest.components[id][ind.key] },
+    ], ind.threshold ?? (ind.key === "temp" ? INSULATION[insulation] : limits[2]))),
+  ])), [history, latest, insulation, limits]);
+
+  const selComp = components.find(c => c.id === selectedComp);
+  const critCount = components.filter(c => c.status==="critical").length;
+  const warnCount = components.filter(c => c.status==="warning").length;
+  const selDiag = selComp?.faults.find(f => f.diagnosis?.id === diagSel) || selComp?.faults.find(f => f.diagnosis);
+  const allFaults = useMemo(() => {
+    const list = components.flatMap(c => c.faults.map(f => ({ key:`${c.id}:${f.key ?? f.text}`, compId:c.id, type:f.diagnosis?.type ?? f.key, fault:f.text, comp:c.label, status:c.status, confidence:f.confidence })));
+    if (unbalance && unbalance.kind !== "stator") list.unshift({ key: "supply:unbalance", type: "unbalance", fault: unbalance.text, comp: unbalance.kind ? "Supply" : "Supply / Stator Winding", status: unbalance.status });
+    if (!recording) anomaly.episodes.filter(e => e.end === null).forEach(e => list.push(anomalyFault(e)));
+    if (drive?.fault) {
+      const df = driveFault(drive.fault);
+      list.unshift({ key: `drive:${df.code}`, compId: df.comp, fault: df.text, comp: df.comp ? `${COMPONENT_DEFS.find(c => c.id === df.comp).label} · reported by ${DRIVE_LABEL}` : DRIVE_LABEL, status: "critical", priority: "urgent" });
+    }
+    return list.map(f => ({ ...f, priority: f.priority ?? PRIORITY_OF[f.status] }));
+  }, [components, unbalance, recording, anomaly, drive]);
+  const actions = useMemo(() => maintenanceActions(allFaults), [allFaults]);
+  // live findings feed the alarm list on every tick; a replay leaves it as it was
+  useEffect(() => {
+    if (!recording) alarms.update(latest.t, allFaults.map(f => ({ key: f.key, text: f.fault, source: f.comp, comp: f.compId, priority: f.priority })));
+  }, [alarms, recording, latest, allFaults]);
+  const liveAlarms = activeAlarms(alarmList);
+  const shelved = alarmList.filter(a => a.state === "shelved");
+  const cardAlarms = Object.fromEntries(COMPONENT_DEFS.map(c => [c.id,
+    CARD_ALARM_ORDER.map(st => liveAlarms.find(a => a.comp === c.id && a.state === st)).find(Boolean)]));
+  const temps = components.map(c => c.temp).filter(v => v !== null);
+  const maxTemp = temps.length ? Math.max(...temps) : "—";
+  const statuses = useMemo(() => Object.fromEntries(components.map(c => [c.id, c.status])), [components]);
+  const viewRange = useMemo(() => VIEW_MODES[viewMode] && modeRange(viewMode, limits, INSULATION[insulation]), [viewMode, limits, insulation]);
+  const partColors = useMemo(() => viewRange && Object.fromEntries(components.map(c => {
+    const v = c[VIEW_MODES[viewMode].key];
+    return [c.id, v == null ? NO_READING : `rgb(${colorAt(VIEW_MODES[viewMode].scale, (v - viewRange.lo) / (viewRange.hi - viewRange.lo)).join(",")})`];
+  })), [viewMode, viewRange, components]);
 
   const charts = {
     vibration: (
       <ResponsiveContainer width="100%" height={140}><LineChart data={vibData}>
         <CartesianGrid strokeDasharray="3 3" stroke="#0f2a4a" />
-        <XAxis dataKey="t" tick={{fontSize:9,fill:T.textMuted}} axisLine={{stroke:T.cardBorder}} tickLine={false} />
-        <YAxis tick={{fontSize:9,fill:T.textMuted}} axisLine={{stroke:T.cardBorder}} tickLine={false} domain={[0,8]} unit=" mm/s" />
+        <XAxis {...timeAxis} tick={{fontSize:9,fill:T.textMuted}} axisLine={{stroke:T.cardBorder}} tickLine={false} />
+        <YAxis tick={{fontSize:9,fill:T.textMuted}} axisLine={{stroke:T.cardBorder}} tickLine={false} domain={[0, vibMax]} allowDataOverflow unit=" mm/s" />
         <Tooltip content={<CustomTooltip />} />
-        <Line type="monotone" dataKey="vibration" stroke={T.accent} strokeWidth={2} dot={false} name="Vibration" />
-        <Line type="monotone" dataKey="threshold" stroke={T.danger} strokeWidth={1.5} strokeDasharray="5 4" dot={false} name="Threshold" />
+        {ZONES.map((z, i) => (
+          <ReferenceArea key={z.zone} y1={[0, ...limits][i]} y2={[...limits, vibMax][i]} fill={ZONE_COLOR[z.zone]} fillOpacity={0.1} stroke="none" ifOverflow="hidden"
+            label={{ value: z.zone, position: "insideRight", fill: ZONE_COLOR[z.zone], fontSize: 9, fontWeight: 700 }} />
+        ))}
+        {anomalyAreas("vibration")}
+        <Line type="monotone" dataKey="vibration" stroke={T.accent} strokeWidth={2} dot={false} isAnimationActive={false} name="Vibration" />
       </LineChart></ResponsiveContainer>
     ),
     temperature: (
       <ResponsiveContainer width="100%" height={140}><LineChart data={tempData}>
         <CartesianGrid strokeDasharray="3 3" stroke="#0f2a4a" />
-        <XAxis dataKey="t" tick={{fontSize:9,fill:T.textMuted}} axisLine={{stroke:T.cardBorder}} tickLine={false} />
-        <YAxis tick={{fontSize:9,fill:T.textMuted}} axisLine={{stroke:T.cardBorder}} tickLine={false} domain={[30,100]} unit="°C" />
+        <XAxis {...timeAxis} tick={{fontSize:9,fill:T.textMuted}} axisLine={{stroke:T.cardBorder}} tickLine={false} />
+        <YAxis tick={{fontSize:9,fill:T.textMuted}} axisLine={{stroke:T.cardBorder}} tickLine={false} domain={[20, INSULATION[insulation] + 10]} unit="°C" />
         <Tooltip content={<CustomTooltip />} />
-        <Line type="monotone" dataKey="temperature" stroke={T.warn} strokeWidth={2} dot={false} name="Temperature" />
-        <Line type="monotone" dataKey="limit" stroke={T.danger} strokeWidth={1.5} strokeDasharray="5 4" dot={false} name="Limit" />
+        {anomalyAreas("temperature")}
+        {TEMP_NODES.map(([id, name, color]) => <Line key={id} type="monotone" dataKey={id} stroke={color} strokeWidth={id==="stator_winding"?2:1.3} dot={false} isAnimationActive={false} name={name} />)}
+        <Line type="monotone" dataKey="limit" stroke={T.danger} strokeWidth={1.5} strokeDasharray="5 4" dot={false} isAnimationActive={false} name={`Class ${insulation} limit`} />
       </LineChart></ResponsiveContainer>
     ),
-    current: (
+    current: trData ? (
+      <ResponsiveContainer width="100%" height={140}><LineChart data={trData}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#0f2a4a" />
+        <XAxis dataKey="t" type="number" domain={[0, SCENARIOS[scenario].duration]} tick={{fontSize:9,fill:T.textMuted}} axisLine={{stroke:T.cardBorder}} tickLine={false} />
+        <YAxis yAxisId="i" tick={{fontSize:9,fill:T.textMuted}} axisLine={{stroke:T.cardBorder}} tickLine={false} unit=" A" />
+        <YAxis yAxisId="rpm" orientation="right" tick={{fontSize:9,fill:T.textMuted}} axisLine={{stroke:T.cardBorder}} tickLine={false} domain={[0,1800]} />
+        <YAxis yAxisId="te" hide />
+        <Tooltip content={<CustomTooltip />} />
+        <Line yAxisId="i" type="linear" dataKey="phaseA" stroke="#00b4d8" strokeWidth={1.2} dot={false} isAnimationActive={false} name="Phase A" />
+        <Line yAxisId="i" type="linear" dataKey="phaseB" stroke="#f5a623" strokeWidth={1.2} dot={false} isAnimationActive={false} name="Phase B" />
+        <Line yAxisId="i" type="linear" dataKey="phaseC" stroke="#2ed573" strokeWidth={1.2} dot={false} isAnimationActive={false} name="Phase C" />
+        <Line yAxisId="te" type="linear" dataKey="torque" stroke={T.textDim} strokeWidth={1} dot={false} isAnimationActive={false} name="Torque N·m" />
+        <Line yAxisId="rpm" type="linear" dataKey="rpm" stroke="#fff" strokeWidth={1.5} dot={false} isAnimationActive={false} name="Speed rpm" />
+        <ReferenceLine yAxisId="i" x={playT} stroke={T.accent} strokeDasharray="3 3" />
+      </LineChart></ResponsiveContainer>
+    ) : curView === "phasors" ? <PhasorView analysis={phases} fault={unbalance} /> : (
       <ResponsiveContainer width="100%" height={140}><LineChart data={curData}>
         <CartesianGrid strokeDasharray="3 3" stroke="#0f2a4a" />
-        <XAxis dataKey="t" tick={{fontSize:9,fill:T.textMuted}} axisLine={{stroke:T.cardBorder}} tickLine={false} />
+        <XAxis {...timeAxis} tick={{fontSize:9,fill:T.textMuted}} axisLine={{stroke:T.cardBorder}} tickLine={false} />
         <YAxis tick={{fontSize:9,fill:T.textMuted}} axisLine={{stroke:T.cardBorder}} tickLine={false} unit=" A" />
         <Tooltip content={<CustomTooltip />} />
-        <Line type="monotone" dataKey="phaseA" stroke="#00b4d8" strokeWidth={1.8} dot={false} name="Phase A" />
-        <Line type="monotone" dataKey="phaseB" stroke="#f5a623" strokeWidth={1.8} dot={false} name="Phase B" />
-        <Line type="monotone" dataKey="phaseC" stroke="#2ed573" strokeWidth={1.8} dot={false} name="Phase C" />
+        {anomalyAreas("current")}
+        <Line type="monotone" dataKey="phaseA" stroke="#00b4d8" strokeWidth={1.8} dot={false} isAnimationActive={false} name="Phase A" />
+        <Line type="monotone" dataKey="phaseB" stroke="#f5a623" strokeWidth={1.8} dot={false} isAnimationActive={false} name="Phase B" />
+        <Line type="monotone" dataKey="phaseC" stroke="#2ed573" strokeWidth={1.8} dot={false} isAnimationActive={false} name="Phase C" />
+        {curData.some(d => d.drive !== null) && <Line type="monotone" dataKey="drive" stroke="#fff" strokeWidth={1.4} strokeDasharray="4 3" dot={false} isAnimationActive={false} connectNulls={false} name={`${DRIVE_LABEL} output`} />}
       </LineChart></ResponsiveContainer>
     ),
+    spectrum: <SpectrumView op={recording ? null : latest.op} faults={faults} t={frame.t} />,
+    mcsa: <McsaView op={recording ? null : latest.op} faults={faults} t={frame.t} />,
+    waterfall: <SpectrogramView channels={[
+      ...STREAM_SPECTRA.map(c => ({ ...c, frames: recording ? [] : waterfall[c.id] || [], fmtT: fmtClock, note: recording && "No waveforms in a recording — return to live data for the waterfall" })),
+      ...(trFrames ? [{ id: "transient", label: `Current · A · ${SCENARIOS[scenario].label}`, unit: "A", frames: trFrames, ranges: [[0, 200], [0, 500]], fmtT: t => `${t.toFixed(2)}s` }] : []),
+    ]} />,
+    envelope: <EnvelopeView env={recording ? null : envelopes[envLoc]} modelled={fed} loc={envLoc} onLoc={setEnvLoc} settings={envSettings} onSettings={setEnvSettings} fr={envWaves.fr} onSelect={setSelectedComp} />,
   };
 
   return (
@@ -680,21 +1469,31 @@ export default function App() {
         </div>
         <div style={{ display:"flex", gap:16, fontSize:10, color:T.textMuted }}>
           <span>⏱ Uptime: <span style={{color:T.accent}}>847h</span></span>
-          <span>📡 Sync: <span style={{color:T.good}}>LIVE</span></span>
-          <span>t+{time}s</span>
+          <label style={{ cursor:"pointer", color:T.accent }} title="Import a CSV or JSON recording">📼 Import…
+            <input type="file" accept=".csv,.json,.txt" onChange={e=>{ openFile(e.target.files[0]); e.target.value = ""; }} style={{ display:"none" }} />
+          </label>
+          <TelemetrySource source={source} status={link} paused={frame.paused} onConnect={setSource} onDisconnect={()=>setSource(null)} />
+          <span>t+{Math.round(frame.t)}s</span>
         </div>
       </div>
 
       {/* STATS */}
       <div style={{ display:"grid", gridTemplateColumns:"repeat(auto-fit,minmax(110px,1fr))", gap:10, padding:"14px 22px" }}>
-        <StatBox label="Overall Health" value="84" unit="%" color={T.accent} icon="💚" />
+        <div onMouseEnter={()=>setHealthHover(true)} onMouseLeave={()=>setHealthHover(false)} style={{ position:"relative", cursor:"default" }}>
+          <StatBox label="Overall Health" value={motor.health === null ? "—" : Math.round(motor.health)} unit="%" color={STATUS_COLOR[healthStatus(motor.health)] || T.accent} icon="💚" />
+          {healthHover && <HealthPopover motor={motor} components={components} config={healthCfg} onConfig={setHealthCfg} />}
+        </div>
         <StatBox label="Alerts" value={critCount+warnCount} unit="" color={T.warn} icon="⚠️" />
         <StatBox label="Critical" value={critCount} unit="" color={T.danger} icon="🔴" />
-        <StatBox label="Vibration" value="4.2" unit="mm/s" color={T.warn} icon="📈" />
-        <StatBox label="Max Temp" value="84" unit="°C" color={T.danger} icon="🌡️" />
-        <StatBox label="RPM" value="1740" unit="" color={T.accent} icon="🔄" />
+        <StatBox label="Vibration" value={view.vibration?.toFixed(1) ?? "—"} unit="mm/s" color={T.warn} icon="📈" />
+        <StatBox label="Max Temp" value={maxTemp} unit="°C" color={T.danger} icon="🌡️" />
+        <StatBox label={drive && !trData ? "RPM · Drive" : "RPM"} value={recording && view.rpm === null && !trData ? "—" : rpm} unit="" color={T.accent} icon="🔄" />
+        {drive?.dcLink !== undefined && <StatBox label="DC Link" value={Math.round(drive.dcLink)} unit="V" color={T.accent} icon="⚡" />}
       </div>
 
+      {importing && <RecordingImport key={importing.name} name={importing.name} table={importing.table} onLoad={loadRecording} onCancel={()=>setImporting(null)} />}
+      {recording && <ReplayBar recording={recording} replay={replay} onChange={p=>setReplay(r => ({ ...r, ...p }))} onClose={()=>setRecording(null)} />}
+
       {/* MAIN */}
       <div style={{ display:"grid", gridTemplateColumns:"1fr 300px", gap:14, padding:"0 22px 22px" }}>
         {/* LEFT */}
@@ -704,11 +1503,35 @@ export default function App() {
             <div style={{ background:T.card, border:`1px solid ${T.cardBorder}`, borderRadius:10, overflow:"hidden" }}>
               <div style={{ display:"flex", alignItems:"center", justifyContent:"space-between", padding:"8px 14px", borderBottom:`1px solid ${T.cardBorder}` }}>
                 <span style={{ fontSize:10, fontWeight:700, color:T.accent, textTransform:"uppercase", letterSpacing:1.5 }}>3D Motor View — Cutaway</span>
-                {selectedComp && <span style={{ fontSize:9, color:T.accent, background:`${T.accent}18`, padding:"2px 8px", borderRadius:10, border:`1px solid ${T.accent}44` }}>▸ {selComp?.label}</span>}
+                <div style={{ display:"flex", alignItems:"center", gap:4 }}>
+                  {selectedComp && <span style={{ fontSize:9, color:T.accent, background:`${T.accent}18`, padding:"2px 8px", borderRadius:10, border:`1px solid ${T.accent}44`, marginRight:4 }}>▸ {selComp?.label}</span>}
+                  {[["normal","Normal"], ...Object.entries(VIEW_MODES).map(([k, m]) => [k, m.label])].map(([k, label]) => (
+                    <button key={k} onClick={()=>setViewMode(k)} style={{ padding:"2px 7px", fontSize:9, background:viewMode===k?`${T.accent}30`:"transparent", color:viewMode===k?T.accent:T.textMuted, border:`1px solid ${viewMode===k?T.accent:T.cardBorder}`, borderRadius:4, cursor:"pointer", fontFamily:"inherit" }}>{label}</button>
+                  ))}
+                </div>
               </div>
               <div style={{ position:"relative", height:320 }}>
-                <MotorViewer highlightId={selectedComp} />
-                <LabelLegend />
+                <MotorViewer highlightId={selectedComp} rpm={rpm} statuses={statuses} parts={components} onSelect={id=>setSelectedComp(id && id === selectedComp ? null : id)} colors={partColors} exploded={exploded} spread={spread} section={section} view={camView} onViewChange={v=>{ camNow.current = v; }} orbits={orbits} amplify={motion ? amplify : 0} />
+                <div style={{ position:"absolute", top:6, left:6, maxWidth:"calc(100% - 210px)", display:"flex", flexWrap:"wrap", alignItems:"center", gap:6, zIndex:2 }}>
+                  <button onClick={()=>setExploded(!exploded)} style={{ padding:"2px 7px", fontSize:9, background:exploded?`${T.accent}30`:"rgba(8,18,32,0.78)", color:exploded?T.accent:T.textMuted, border:`1px solid ${exploded?T.accent:T.cardBorder}`, borderRadius:4, cursor:"pointer", fontFamily:"inherit" }}>{exploded ? "⇥ Collapse" : "⇔ Explode"}</button>
+                  {exploded && <input type="range" min={0.02} max={0.08} step={0.005} value={spread} onChange={e=>setSpread(+e.target.value)} title={`Spread ${Math.round(spread * 1000)} mm`} style={{ width:80, accentColor:T.accent }} />}
+                  <button onClick={()=>setMotion(!motion)} title="Shaft motion from the vibration readings, exaggerated" style={{ padding:"2px 7px", fontSize:9, background:motion?`${T.accent}30`:"rgba(8,18,32,0.78)", color:motion?T.accent:T.textMuted, border:`1px solid ${motion?T.accent:T.cardBorder}`, borderRadius:4, cursor:"pointer", fontFamily:"inherit" }}>〰 Motion{motion && ` ×${amplify}`}</button>
+                  {motion && <input type="range" min={1} max={3} step={0.1} value={Math.log10(amplify)} onChange={e=>setAmplify(Math.round(10 ** +e.target.value))} title="Amplification" style={{ width:70, accentColor:T.accent }} />}
+                  <button onClick={()=>setSectionOpen(!sectionOpen)} style={{ padding:"2px 7px", fontSize:9, background:sectionOpen?`${T.accent}30`:"rgba(8,18,32,0.78)", color:sectionOpen?T.accent:T.textMuted, border:`1px solid ${sectionOpen?T.accent:T.cardBorder}`, borderRadius:4, cursor:"pointer", fontFamily:"inherit" }}>✂ Section{sectionPlanes(section).length ? ` · ${sectionPlanes(section).length}` : ""}</button>
+                </div>
+                {motion && (
+                  <div style={{ position:"absolute", top:6, right:6, display:"flex", gap:4, pointerEvents:"none", zIndex:2 }}>
+                    <OrbitPlot label="DE" orbit={orbits.bearing_drive} />
+                    <OrbitPlot label="NDE" orbit={orbits.bearing_fan} />
+                  </div>
+                )}
+                {sectionOpen && (
+                  <SectionPanel section={section} onChange={setSection} presets={[...BUILTIN_PRESETS, ...presets]} onApply={applyPreset}
+                    onSave={name=>updatePresets([...presets.filter(p => p.name !== name), { name, section, camera: camNow.current }])}
+                    onDelete={name=>updatePresets(presets.filter(p => p.name !== name))} onClose={()=>setSectionOpen(false)} />
+                )}
+                <LabelLegend right={viewRange ? 166 : 6} />
+                {viewRange && <ColorLegend mode={viewMode} range={viewRange} />}
               </div>
             </div>
             {/* COMP GRID */}
@@ -717,7 +1540,7 @@ export default function App() {
                 <span style={{ fontSize:10, fontWeight:700, color:T.accent, textTransform:"uppercase", letterSpacing:1.5 }}>Components — Click to Highlight</span>
               </div>
               <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr", gap:8, flex:1 }}>
-                {COMPONENTS.map(c => <CompCard key={c.id} comp={c} isSelected={selectedComp===c.id} onClick={()=>setSelectedComp(selectedComp===c.id?null:c.id)} />)}
+                {components.map(c => <CompCard key={c.id} comp={c} alarm={cardAlarms[c.id]} isSelected={selectedComp===c.id} onClick={()=>setSelectedComp(selectedComp===c.id?null:c.id)} />)}
               </div>
             </div>
           </div>
@@ -727,12 +1550,56 @@ export default function App() {
             <div style={{ background:T.card, border:`1px solid ${T.cardBorder}`, borderRadius:10, overflow:"hidden" }}>
               <div style={{ display:"flex", alignItems:"center", gap:6, padding:"8px 14px", borderBottom:`1px solid ${T.cardBorder}` }}>
                 <span style={{ fontSize:10, fontWeight:700, color:T.accent, textTransform:"uppercase", letterSpacing:1.5 }}>Sensor Streams</span>
-                <div style={{ display:"flex", gap:4, marginLeft:"auto" }}>
-                  {["vibration","temperature","current"].map(tab => (
-                    <button key={tab} onClick={()=>setActiveTab(tab)} style={{ padding:"2px 8px", fontSize:9, background:activeTab===tab?T.accent:"transparent", color:activeTab===tab?"#fff":T.textMuted, border:`1px solid ${activeTab===tab?T.accent:T.cardBorder}`, borderRadius:4, cursor:"pointer", textTransform:"uppercase", letterSpacing:0.8, fontFamily:"inherit", fontWeight:600 }}>{tab}</button>
+                <div style={{ display:"flex", gap:4, marginLeft:"auto", flexWrap:"wrap", justifyContent:"flex-end" }}>
+                  {["vibration","temperature","current","spectrum","mcsa","envelope","waterfall"].map(tab => (
+                    <button key={tab} onClick={()=>{ if (tab === "waterfall" && !waterfallOpen) setWaterfall({}); setActiveTab(tab); }} style={{ padding:"2px 8px", fontSize:9, background:activeTab===tab?T.accent:"transparent", color:activeTab===tab?"#fff":T.textMuted, border:`1px solid ${activeTab===tab?T.accent:T.cardBorder}`, borderRadius:4, cursor:"pointer", textTransform:"uppercase", letterSpacing:0.8, fontFamily:"inherit", fontWeight:600 }}>{tab}</button>
                   ))}
                 </div>
               </div>
+              <div style={{ display:"flex", alignItems:"center", gap:4, padding:"8px 14px 0", flexWrap:"wrap" }}>
+                {!SPECTRAL_TABS.includes(activeTab) && WINDOWS.map(([label, sec]) => (
+                  <button key={sec} onClick={()=>setSpan(sec)} style={{ padding:"2px 7px", fontSize:9, background:span===sec?`${T.accent}30`:"transparent", color:span===sec?T.accent:T.textMuted, border:`1px solid ${span===sec?T.accent:T.cardBorder}`, borderRadius:4, cursor:"pointer", fontFamily:"inherit" }}>{label}</button>
+                ))}
+                <span style={{ fontSize:9, color:T.textMuted, margin:"0 2px 0 8px" }}>Rate</span>
+                {RATES.map(r => (
+                  <button key={r} onClick={()=>stream.setRate(r)} style={{ padding:"2px 7px", fontSize:9, background:frame.rate===r?`${T.accent}30`:"transparent", color:frame.rate===r?T.accent:T.textMuted, border:`1px solid ${frame.rate===r?T.accent:T.cardBorder}`, borderRadius:4, cursor:"pointer", fontFamily:"inherit" }}>{r} Hz</button>
+                ))}
+                <button onClick={()=>frame.paused?stream.resume():stream.pause()} style={{ marginLeft:"auto", padding:"2px 9px", fontSize:9, background:frame.paused?`${T.warn}30`:"transparent", color:frame.paused?T.warn:T.textMuted, border:`1px solid ${frame.paused?T.warn:T.cardBorder}`, borderRadius:4, cursor:"pointer", fontFamily:"inherit" }}>{frame.paused ? "▶ Resume" : "⏸ Pause"}</button>
+              </div>
+              {activeTab==="vibration" && (
+                <div style={{ display:"flex", alignItems:"center", gap:4, padding:"8px 14px 0", flexWrap:"wrap" }}>
+                  <span style={{ fontSize:9, color:T.textMuted, marginRight:2 }}>ISO 10816-3</span>
+                  {Object.entries(MACHINE_GROUPS).map(([k, g]) => (
+                    <button key={k} onClick={()=>setIso({ ...iso, group: k })} title={g.detail} style={{ padding:"2px 7px", fontSize:9, background:iso.group===k?`${T.accent}30`:"transparent", color:iso.group===k?T.accent:T.textMuted, border:`1px solid ${iso.group===k?T.accent:T.cardBorder}`, borderRadius:4, cursor:"pointer", fontFamily:"inherit" }}>{g.label}</button>
+                  ))}
+                  {Object.entries(MOUNTINGS).map(([k, label]) => (
+                    <button key={k} onClick={()=>setIso({ ...iso, mounting: k })} style={{ padding:"2px 7px", fontSize:9, background:iso.mounting===k?`${T.accent}30`:"transparent", color:iso.mounting===k?T.accent:T.textMuted, border:`1px solid ${iso.mounting===k?T.accent:T.cardBorder}`, borderRadius:4, cursor:"pointer", fontFamily:"inherit" }}>{label}</button>
+                  ))}
+                  <span style={{ marginLeft:"auto", fontSize:9, color:T.textMuted }}>A/B {limits[0]} · B/C {limits[1]} · C/D {limits[2]} mm/s</span>
+                </div>
+              )}
+              {activeTab==="temperature" && (
+                <div style={{ display:"flex", alignItems:"center", gap:4, padding:"8px 14px 0" }}>
+                  <span style={{ fontSize:9, color:T.textMuted, marginRight:2 }}>Insulation</span>
+                  {["B","F"].map(k => (
+                    <button key={k} onClick={()=>setInsulation(k)} style={{ padding:"2px 7px", fontSize:9, background:insulation===k?`${T.accent}30`:"transparent", color:insulation===k?T.accent:T.textMuted, border:`1px solid ${insulation===k?T.accent:T.cardBorder}`, borderRadius:4, cursor:"pointer", fontFamily:"inherit" }}>Class {k} · {INSULATION[k]}°C</button>
+                  ))}
+                </div>
+              )}
+              {activeTab==="current" && (
+                <div style={{ display:"flex", alignItems:"center", gap:4, padding:"8px 14px 0", flexWrap:"wrap" }}>
+                  {[["","Steady"], ...Object.entries(SCENARIOS).map(([k,v]) => [k, v.label])].map(([k,label]) => (
+                    <button key={k||"steady"} onClick={()=>runScenario(k)} style={{ padding:"2px 7px", fontSize:9, background:scenario===k?`${T.accent}30`:"transparent", color:scenario===k?T.accent:T.textMuted, border:`1px solid ${scenario===k?T.accent:T.cardBorder}`, borderRadius:4, cursor:"pointer", fontFamily:"inherit" }}>{label}</button>
+                  ))}
+                  {scenario ? <span style={{ marginLeft:"auto", fontSize:9, color:T.textMuted }}>▶ {REPLAY_RATE}× · t={playT.toFixed(2)}s</span> : (
+                    <div style={{ display:"flex", gap:4, marginLeft:"auto" }}>
+                      {[["trend","Trend"],["phasors","Phasors"]].map(([k,label]) => (
+                        <button key={k} onClick={()=>setCurView(k)} style={{ padding:"2px 7px", fontSize:9, background:curView===k?`${T.accent}30`:"transparent", color:curView===k?T.accent:T.textMuted, border:`1px solid ${curView===k?T.accent:T.cardBorder}`, borderRadius:4, cursor:"pointer", fontFamily:"inherit" }}>{label}</button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
               <div style={{ padding:"12px 10px 6px" }}>{charts[activeTab]}</div>
             </div>
 
@@ -748,10 +1615,11 @@ export default function App() {
                       <div><div style={{ fontSize:13, fontWeight:700, color:"#fff" }}>{selComp.label}</div><div style={{ fontSize:10, color:selComp.color, textTransform:"uppercase", letterSpacing:1, fontWeight:700 }}>{selComp.status}</div></div>
                     </div>
                     <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr", gap:8, marginBottom:12 }}>
-                      {[["Health",`${selComp.health}%`,selComp.color],["Temp",`${selComp.temp}°C`,selComp.temp>75?T.danger:T.warn],["Vibration",`${selComp.vibration} mm/s`,selComp.vibration>4?T.danger:T.accent],["Maint. In",selComp.rrh,selComp.rrh!=="—"?T.warn:T.good]].map(([k,v,c])=>(
+                      {[["Health",selComp.health===null?"—":`${selComp.health}%`,selComp.color],["Temp",selComp.temp===null?"—":`${selComp.temp}°C`,STATUS_COLOR[selComp.tStatus],`limit ${selComp.tLimit}°C`],["Vibration",selComp.vibration===null?"—":`${selComp.vibration} mm/s`,selComp.zone?STATUS_COLOR[selComp.zone.status]:T.accent,selComp.zone&&`Zone ${selComp.zone.zone} · ${selComp.zone.label}`],["Maint. In",rul[selComp.id]?.value||"—",rul[selComp.id]?T.warn:T.good,rul[selComp.id]&&`90% CI ${rul[selComp.id].range}`]].map(([k,v,c,sub])=>(
                         <div key={k} style={{ background:"#0a1e35", borderRadius:6, padding:"8px 10px" }}>
                           <div style={{ fontSize:9, color:T.textMuted, textTransform:"uppercase", letterSpacing:0.8 }}>{k}</div>
                           <div style={{ fontSize:15, fontWeight:700, color:c, marginTop:2 }}>{v}</div>
+                          {sub && <div style={{ fontSize:8.5, color:T.textMuted, marginTop:1 }}>{sub}</div>}
                         </div>
                       ))}
                     </div>
@@ -759,7 +1627,21 @@ export default function App() {
                     {selComp.faults.length > 0 && (
                       <div style={{ marginTop:12 }}>
                         <div style={{ fontSize:9, color:T.textMuted, textTransform:"uppercase", letterSpacing:1, marginBottom:6 }}>Detected Faults</div>
-                        <div style={{ display:"flex", flexDirection:"column", gap:5 }}>{selComp.faults.map(f=><FaultBadge key={f} text={f} />)}</div>
+                        <div style={{ display:"flex", flexDirection:"column", gap:5 }}>{selComp.faults.map(f=><FaultBadge key={f.text} text={f.text} confidence={f.confidence} active={f === selDiag} onClick={f.diagnosis && (()=>setDiagSel(f.diagnosis.id))} />)}</div>
+                        {selDiag && <DiagnosisView diagnosis={selDiag.diagnosis} metrics={CLASS_METRICS[selDiag.diagnosis.id]} />}
+                      </div>
+                    )}
+                    {selComp.envelope.length > 0 && (
+                      <div style={{ marginTop:12 }}>
+                        <div style={{ display:"flex", alignItems:"center", marginBottom:6 }}>
+                          <span style={{ fontSize:9, color:T.textMuted, textTransform:"uppercase", letterSpacing:1 }}>Envelope Findings</span>
+                          <button onClick={()=>{ setEnvLoc(selComp.id); setActiveTab("envelope"); }} style={{ marginLeft:"auto", background:"transparent", border:"none", color:T.accent, cursor:"pointer", fontSize:9, fontFamily:"inherit", padding:0 }}>Envelope spectrum →</button>
+                        </div>
+                        {selComp.envelope.map(d => (
+                          <div key={d.type} style={{ fontSize:10, color:T.warn, padding:"2px 0" }}>
+                            〰 {d.label} <span style={{ color:T.textDim }}>· {d.name} {d.lines[0].f.toFixed(1)} Hz · +{d.lines[0].snr.toFixed(0)} dB · {d.lines.filter(l => l.hit).length}/3 harmonics</span>
+                          </div>
+                        ))}
                       </div>
                     )}
                   </>
@@ -774,39 +1656,91 @@ export default function App() {
           <div style={{ background:T.card, border:`1px solid ${T.cardBorder}`, borderRadius:10, overflow:"hidden", flex:1 }}>
             <div style={{ padding:"8px 14px", borderBottom:`1px solid ${T.cardBorder}`, display:"flex", alignItems:"center", justifyContent:"space-between" }}>
               <span style={{ fontSize:10, fontWeight:700, color:T.accent, textTransform:"uppercase", letterSpacing:1.5 }}>Active Faults</span>
-              <span style={{ fontSize:9, background:`${T.danger}20`, color:T.danger, padding:"1px 7px", borderRadius:8, border:`1px solid ${T.danger}44` }}>{allFaults.length}</span>
+              <span style={{ display:"flex", alignItems:"center", gap:8 }}>
+                {!recording && liveAlarms.some(a => a.state !== "ack") && <button onClick={alarms.acknowledgeAll} style={{ background:"transparent", border:"none", color:T.accent, cursor:"pointer", fontSize:9, fontFamily:"inherit", padding:0 }}>✓ Ack all</button>}
+                <button onClick={()=>setAlarmHistory(!alarmHistory)} style={{ background:"transparent", border:"none", color:alarmHistory?T.text:T.accent, cursor:"pointer", fontSize:9, fontFamily:"inherit", padding:0 }}>☰ History</button>
+                <span style={{ fontSize:9, background:`${T.danger}20`, color:T.danger, padding:"1px 7px", borderRadius:8, border:`1px solid ${T.danger}44` }}>{recording ? allFaults.length : liveAlarms.length}</span>
+              </span>
             </div>
             <div style={{ padding:10, display:"flex", flexDirection:"column", gap:8 }}>
-              {allFaults.map((f,i)=>(
+              <div style={{ display:"flex", alignItems:"center", gap:6, fontSize:9, color:T.textMuted }}>
+                <span>〽 Anomaly baseline · {anomaly.learning ? `learning ${Math.round(anomaly.progress * 100)} %` : `${Object.keys(anomaly.channels).length} channels, EWMA / CUSUM / T²`}</span>
+                <button onClick={recommission} title="Learn a new baseline from the next samples" style={{ marginLeft:"auto", background:"transparent", border:"none", color:T.accent, cursor:"pointer", fontSize:9, fontFamily:"inherit", padding:0 }}>↺ Recommission</button>
+              </div>
+              {fed && <div style={{ fontSize:9, color:T.textMuted }} title="The classifier reads the twin's waveforms, which a feed does not carry">⏸ Fault classifier paused while telemetry is live</div>}
+              {!recording && liveAlarms.map(a => {
+                const f = allFaults.find(x => x.key === a.key);   // the live finding; gone once cleared
+                const c = a.active ? PRIORITY_COLOR[a.priority] : T.textDim;
+                const act = { background:"transparent", border:`1px solid ${T.cardBorder}`, borderRadius:4, color:T.accent, cursor:"pointer", fontSize:9, fontFamily:"inherit", padding:"1px 6px" };
+                return (
+                  <div key={a.id} style={{ background:`${c}14`, border:`1px solid ${c}40`, borderRadius:7, padding:"9px 11px" }}>
+                    <div style={{ display:"flex", alignItems:"center", justifyContent:"space-between", gap:6, marginBottom:3 }}>
+                      <span style={{ fontSize:11, fontWeight:700, color:c }}>{a.text}</span>
+                      <span style={{ fontSize:8, background:`${c}25`, color:c, padding:"1px 6px", borderRadius:6, textTransform:"uppercase", letterSpacing:0.8, whiteSpace:"nowrap" }}>{f?.confidence !== undefined && `${Math.round(f.confidence * 100)} % · `}{ALARM_PRIORITIES[a.priority].label}</span>
+                    </div>
+                    <div style={{ fontSize:10, color:T.textDim }}>📍 {a.source}<span style={{ color:T.textMuted }}> · since {fmtClock(a.raised)}</span></div>
+                    <div style={{ display:"flex", alignItems:"center", gap:5, marginTop:6 }}>
+                      <span style={{ fontSize:8, color:a.state==="ack"?T.textDim:c, letterSpacing:0.6, textTransform:"uppercase", marginRight:"auto", animation:a.state==="ack"?"none":"pulse 1.8s infinite" }}>{ALARM_STATES[a.state].label}</span>
+                      {a.state !== "ack" && <button onClick={()=>alarms.acknowledge(a.id)} style={act}>✓ Ack</button>}
+                      <select value="" onChange={e=>alarms.shelve(a.id, +e.target.value)} style={{ ...act, background:"#0a1e35" }}>
+                        <option value="">Shelve…</option>
+                        {SHELVE_TIMES.map(([label, sec]) => <option key={sec} value={sec}>{label}</option>)}
+                      </select>
+                      <button onClick={()=>setCommenting({ id: a.id, text: "" })} title="Add a comment" style={act}>💬</button>
+                    </div>
+                    {a.events.filter(e => e.note).slice(-2).map((e, i) => <div key={i} style={{ fontSize:9, color:T.textDim, marginTop:3 }}>💬 {fmtClock(e.t)} {e.note}</div>)}
+                    {commenting?.id === a.id && (
+                      <input autoFocus value={commenting.text} placeholder="Comment · Enter to save" onChange={e=>setCommenting({ ...commenting, text: e.target.value })}
+                        onKeyDown={e=>{ if (e.key === "Enter") { alarms.comment(a.id, commenting.text); setCommenting(null); } else if (e.key === "Escape") setCommenting(null); }}
+                        onBlur={()=>setCommenting(null)}
+                        style={{ marginTop:4, width:"100%", boxSizing:"border-box", background:"#0a1e35", color:T.text, border:`1px solid ${T.cardBorder}`, borderRadius:4, fontSize:9, fontFamily:"inherit", padding:"2px 5px" }} />
+                    )}
+                  </div>
+                );
+              })}
+              {!recording && shelved.length > 0 && (
+                <div style={{ fontSize:9, color:T.textMuted }}>
+                  {shelved.map(a => (
+                    <div key={a.id} style={{ display:"flex", alignItems:"center", gap:6, padding:"2px 0" }}>
+                      <span style={{ flex:1, overflow:"hidden", textOverflow:"ellipsis", whiteSpace:"nowrap" }} title={a.text}>⏸ {a.text}</span>
+                      <span>until {fmtClock(a.shelvedUntil)}</span>
+                      <button onClick={()=>alarms.unshelve(a.id)} style={{ background:"transparent", border:"none", color:T.accent, cursor:"pointer", fontSize:9, fontFamily:"inherit", padding:0 }}>Unshelve</button>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {/* a replay shows its findings as they are; alarms follow the live stream only */}
+              {recording && allFaults.map((f,i)=>(
                 <div key={i} style={{ background:f.status==="critical"?"rgba(255,71,87,0.08)":"rgba(245,166,35,0.08)", border:`1px solid ${f.status==="critical"?"rgba(255,71,87,0.25)":"rgba(245,166,35,0.25)"}`, borderRadius:7, padding:"9px 11px" }}>
                   <div style={{ display:"flex", alignItems:"center", justifyContent:"space-between", marginBottom:3 }}>
                     <span style={{ fontSize:11, fontWeight:700, color:f.status==="critical"?T.danger:T.warn }}>{f.fault}</span>
-                    <span style={{ fontSize:8, background:f.status==="critical"?`${T.danger}25`:`${T.warn}25`, color:f.status==="critical"?T.danger:T.warn, padding:"1px 6px", borderRadius:6, textTransform:"uppercase", letterSpacing:0.8 }}>{f.status}</span>
+                    <span style={{ fontSize:8, background:f.status==="critical"?`${T.danger}25`:`${T.warn}25`, color:f.status==="critical"?T.danger:T.warn, padding:"1px 6px", borderRadius:6, textTransform:"uppercase", letterSpacing:0.8 }}>{f.confidence !== undefined && `${Math.round(f.confidence * 100)} % · `}{f.status}</span>
                   </div>
-                  <div style={{ fontSize:10, color:T.textDim }}>📍 {f.comp}</div>
+                  <div style={{ fontSize:10, color:T.textDim }}>📍 {f.comp}{f.since !== undefined && <span style={{ color:T.textMuted }}> · since {fmtClock(f.since)}</span>}</div>
                 </div>
               ))}
             </div>
           </div>
 
+          {alarmHistory && <AlarmHistory alarms={alarmList} onClose={()=>setAlarmHistory(false)} />}
+          <FaultInjector faults={faults} onChange={setFaults} op={latest.op} components={COMPONENT_DEFS} />
+          {source?.kind === "mqtt" && <MqttMapping mapping={mapping} onChange={updateMapping} components={COMPONENT_DEFS} />}
+
           <div style={{ background:T.card, border:`1px solid ${T.cardBorder}`, borderRadius:10, overflow:"hidden" }}>
             <div style={{ padding:"8px 14px", borderBottom:`1px solid ${T.cardBorder}` }}>
               <span style={{ fontSize:10, fontWeight:700, color:T.accent, textTransform:"uppercase", letterSpacing:1.5 }}>Predictive Actions</span>
             </div>
             <div style={{ padding:10, display:"flex", flexDirection:"column", gap:7 }}>
-              {[
-                { priority:"HIGH",   action:"Replace drive-side bearing — outer race degradation",             eta:"12 days" },
-                { priority:"URGENT", action:"Inspect rotor bars — broken bar signature in current spectrum",    eta:"3 days"  },
-                { priority:"MED",    action:"Balance fan assembly — blade wear imbalance detected",             eta:"8 days"  },
-                { priority:"LOW",    action:"Verify shaft alignment at next scheduled stop",                    eta:"—"       },
-              ].map((item,i)=>{
+              {!actions.length && <div style={{ fontSize:10, color:T.textMuted, fontStyle:"italic" }}>No findings call for maintenance</div>}
+              {actions.map((item,i)=>{
+                const eta = rul[item.comp];
                 const pc = item.priority==="URGENT"?T.danger:item.priority==="HIGH"?T.warn:item.priority==="MED"?T.accent:T.textMuted;
                 return (
                   <div key={i} style={{ background:"#0a1e35", borderRadius:6, padding:"8px 10px", display:"flex", gap:10, alignItems:"flex-start" }}>
                     <span style={{ fontSize:8, fontWeight:700, color:pc, background:`${pc}18`, border:`1px solid ${pc}44`, borderRadius:4, padding:"2px 5px", whiteSpace:"nowrap", letterSpacing:0.8 }}>{item.priority}</span>
                     <div style={{ flex:1 }}>
                       <div style={{ fontSize:10.5, color:T.text, lineHeight:1.4 }}>{item.action}</div>
-                      {item.eta!=="—" && <div style={{ fontSize:9, color:T.textMuted, marginTop:2 }}>⏳ Act within {item.eta}</div>}
+                      {eta && <div style={{ fontSize:9, color:T.textMuted, marginTop:2 }}>⏳ Act within {eta.value} <span style={{ opacity:0.7 }}>(90% CI {eta.range})</span></div>}
                     </div>
                   </div>
                 );
@@ -819,7 +1753,7 @@ export default function App() {
               <span style={{ fontSize:10, fontWeight:700, color:T.accent, textTransform:"uppercase", letterSpacing:1.5 }}>Monitored Fault Types</span>
             </div>
             <div style={{ padding:10, display:"flex", flexDirection:"column", gap:5 }}>
-              {[["Bearing Wear","Vibration spectrum + temp"],["Broken Rotor Bar","Stator current signature"],["Eccentricity","Vibration + current harmonics"],["Stator Winding","Insulation resistance + temp"],["Shaft Misalignment","Vibration pattern analysis"],["Fan Imbalance","Vibration amplitude + phase"]].map(([name,method])=>(
+              {[["Bearing Wear","Vibration spectrum + temp"],["Broken Rotor Bar","Current signature (MCSA)"],["Eccentricity","Vibration + current harmonics"],["Stator Winding","Insulation resistance + temp"],["Shaft Misalignment","Vibration pattern analysis"],["Fan Imbalance","Vibration amplitude + phase"],["Unknown / Novel","EWMA · CUSUM · T² vs baseline"]].map(([name,method])=>(
                 <div key={name} style={{ display:"flex", justifyContent:"space-between", alignItems:"center", padding:"4px 0", borderBottom:"1px solid #0f2030" }}>
                   <span style={{ fontSize:10, color:T.text, fontWeight:600 }}>{name}</span>
                   <span style={{ fontSize:9, color:T.textMuted }}>{method}</span>
@@ -0,0 +1,157 @@
+// ─── ANOMALY DETECTION · EWMA / CUSUM / HOTELLING T² ──
+// Online statistical process control on every stream channel. A commissioning
+// window learns each channel's mean and spread (and their correlation for
+// T²); after that every sample updates an EWMA and a two-sided CUSUM chart
+// per channel and one Hotelling T² over all of them. A chart out of control
+// opens an anomaly episode with its start time, channel and score.
+
+export const ANOMALY_DEFAULTS = {
+  commission: 300,  // s of data the baseline is learned from
+  lambda: 0.2,      // EWMA weight of the newest sample
+  L: 3.5,           // EWMA limit in σ of the EWMA statistic
+  k: 0.5,           // CUSUM allowance (σ)
+  h: 12,            // CUSUM decision interval (σ)
+  t2: true,         // multivariate Hotelling T² chart
+  margin: 1.5,      // limits are at least this × the largest excursion seen while commissioning
+  clear: 10,        // samples back in control before an episode ends
+};
+
+export const T2_CHANNEL = "T²";
+const MAX_EPISODES = 200;
+
+// upper χ² quantile (Wilson–Hilferty), z = 3.09 → 99.9 %
+const chi2 = (p, z = 3.09) => p * (1 - 2 / (9 * p) + z * Math.sqrt(2 / (9 * p))) ** 3;
+
+// inverse of a small symmetric positive-definite matrix (Gauss–Jordan)
+function invert(m) {
+  const n = m.length, a = m.map((r, i) => [...r, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+  for (let c = 0; c < n; c++) {
+    let p = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(a[r][c]) > Math.abs(a[p][c])) p = r;
+    [a[c], a[p]] = [a[p], a[c]];
+    const d = a[c][c];
+    for (let j = 0; j < 2 * n; j++) a[c][j] /= d;
+    for (let r = 0; r < n; r++) {
+      if (r === c || !a[r][c]) continue;
+      const f = a[r][c];
+      for (let j = 0; j < 2 * n; j++) a[r][j] -= f * a[c][j];
+    }
+  }
+  return a.map(r => r.slice(n));
+}
+
+const quad = (inv, z) => z.reduce((s, zi, i) => s + zi * inv[i].reduce((q, v, j) => q + v * z[j], 0), 0);
+
+// Runs the EWMA and CUSUM recursions one sample on; returns the new state.
+function step(s, x, m, { lambda, k }) {
+  const z = (x - m.mean) / m.sigma;
+  const ewma = lambda * x + (1 - lambda) * s.ewma;
+  // the sums are held at 2h so a cleared shift stops reading out of control within ~4h/k samples
+  const hi = Math.min(2 * m.h, Math.max(0, s.hi + z - k)), lo = Math.min(2 * m.h, Math.max(0, s.lo - z - k));
+  return { ewma, hi, lo };
+}
+
+// out-of-control ratio (≥ 1 = anomalous), the chart that set it and the direction
+function score(s, m) {
+  const e = Math.abs(s.ewma - m.mean) / m.ewmaLimit, c = Math.max(s.hi, s.lo) / m.h;
+  return e >= c
+    ? { score: e, method: "EWMA", dir: Math.sign(s.ewma - m.mean) }
+    : { score: c, method: "CUSUM", dir: s.hi >= s.lo ? 1 : -1 };
+}
+
+// Baseline per channel from the commissioning rows, with the limits widened
+// where the channel's own normal swings (the load cycle) would cross them.
+function learn(rows, cfg) {
+  const ids = Object.keys(rows[0].ch).filter(id => rows.every(r => Number.isFinite(r.ch[id])));
+  const models = {};
+  ids.forEach(id => {
+    const xs = rows.map(r => r.ch[id]), n = xs.length;
+    const mean = xs.reduce((s, v) => s + v, 0) / n;
+    const sd = Math.sqrt(xs.reduce((s, v) => s + (v - mean) ** 2, 0) / (n - 1));
+    const m = { mean, sigma: Math.max(sd, 5e-3 * Math.abs(mean), 1e-9), h: Infinity };
+    let s = { ewma: mean, hi: 0, lo: 0 }, e = 0, c = 0;
+    xs.forEach(x => { s = step(s, x, m, cfg); e = Math.max(e, Math.abs(s.ewma - mean)); c = Math.max(c, s.hi, s.lo); });
+    m.ewmaLimit = Math.max(cfg.L * m.sigma * Math.sqrt(cfg.lambda / (2 - cfg.lambda)), cfg.margin * e);
+    m.h = Math.max(cfg.h, cfg.margin * c);
+    models[id] = m;
+  });
+  if (!cfg.t2 || ids.length < 2) return { models, t2: null };
+
+  // correlation of the standardised channels, lightly shrunk towards the
+  // identity so near-collinear channels (temperatures, currents) stay invertible
+  const Z = rows.map(r => ids.map(id => (r.ch[id] - models[id].mean) / models[id].sigma));
+  const n = Z.length, R = ids.map((_, i) => ids.map((_, j) => {
+    const r = Z.reduce((s, z) => s + z[i] * z[j], 0) / (n - 1);
+    return 0.9 * r + (i === j ? 0.1 : 0);
+  }));
+  const inv = invert(R), p = ids.length;
+  const peak = Math.max(...Z.map(z => quad(inv, z)));
+  return { models, t2: { ids, inv, limit: Math.max(chi2(p), cfg.margin * peak) } };
+}
+
+// Stateful detector fed one sample at a time: push(t, { channel: value }).
+export function createAnomalyDetector(options = {}) {
+  const cfg = { ...ANOMALY_DEFAULTS, ...options };
+  let t0 = null, rows = [], base = null, state = {}, t2 = null, last = null, episodes = [], open = {};
+
+  // opens, extends or (after `clear` quiet samples) closes a channel's episode
+  const track = (t, id, r) => {
+    const ep = open[id];
+    if (r.score >= 1) {
+      if (ep) { Object.assign(ep, { quiet: 0, last: t, score: Math.max(ep.score, r.score), method: r.method, dir: r.dir }); return; }
+      open[id] = { id: `${id}@${t}`, channel: id, start: t, end: null, last: t, quiet: 0, score: r.score, method: r.method, dir: r.dir };
+      episodes = [...episodes, open[id]].slice(-MAX_EPISODES);
+    } else if (ep) {
+      if (++ep.quiet < cfg.clear) return;
+      ep.end = ep.last;
+      delete open[id];
+    }
+  };
+
+  return {
+    push(t, ch) {
+      last = t;
+      if (!base) {
+        if (t0 === null) t0 = t;
+        rows.push({ t, ch });
+        if (t - t0 >= cfg.commission && rows.length >= 10) {
+          base = learn(rows, cfg);
+          state = Object.fromEntries(Object.entries(base.models).map(([id, m]) => [id, { ewma: m.mean, hi: 0, lo: 0 }]));
+          rows = [];
+        }
+        return;
+      }
+      Object.entries(base.models).forEach(([id, m]) => {
+        const x = ch[id];
+        if (!Number.isFinite(x)) return;   // a gap leaves the charts where they were
+        state[id] = step(state[id], x, m, cfg);
+        track(t, id, score(state[id], m));
+      });
+      if (base.t2 && base.t2.ids.every(id => Number.isFinite(ch[id]))) {
+        const v = quad(base.t2.inv, base.t2.ids.map(id => (ch[id] - base.models[id].mean) / base.models[id].sigma));
+        t2 = { value: v, limit: base.t2.limit };
+        track(t, T2_CHANNEL, { score: v / base.t2.limit, method: "T²", dir: 1 });
+      }
+    },
+    // starts a new commissioning window, dropping the baseline and all episodes
+    reset() { t0 = null; rows = []; base = null; state = {}; t2 = null; episodes = []; open = {}; },
+    // immutable view for rendering
+    snapshot() {
+      const learning = !base;
+      return {
+        learning,
+        progress: learning ? (t0 === null ? 0 : Math.min(1, (last - t0) / cfg.commission)) : 1,
+        t: last,
+        channels: learning ? {} : Object.fromEntries(Object.entries(base.models).map(([id, m]) => [id, { ...m, ...state[id], ...score(state[id], m) }])),
+        t2,
+        episodes: episodes.map(e => ({ ...e })),
+      };
+    },
+  };
+}
+
+// channel → what it measures, for labels ("bearing_fan.vibration" → ["bearing_fan", "vibration"])
+export function channelParts(id) {
+  const i = id.lastIndexOf(".");
+  return i < 0 ? [null, id] : [id.slice(0, i), id.slice(i + 1)];
+}
@@ -0,0 +1,46 @@
+// ─── FAULT CLASSIFIER ─────────────────────────────────
+// One binary decision tree per fault class and location, trained offline on
+// the simulator (scripts/train-classifier.mjs) and shipped as JSON. Several
+// faults can be present at once, so each class gets its own probability
+// rather than sharing one distribution. A diagnosis is explained by following
+// its tree: every split the reading passes moves the probability up or down,
+// and that change is credited to the split's feature.
+
+import MODEL from "./fault-model.json";
+import { FEATURES, FAULT_CLASSES } from "./features";
+
+export const DIAGNOSIS_THRESHOLD = 0.5; // probability from which a class is reported
+
+if (MODEL.features.join() !== FEATURES.map(([k]) => k).join()) {
+  throw new Error("fault-model.json was trained on a different feature set — run npm run train:classifier");
+}
+
+// nodes are [feature, threshold, left, right, p]; leaves have feature −1
+function walk(tree, x) {
+  const contrib = new Map();
+  let i = 0;
+  while (tree[i][0] >= 0) {
+    const [f, thr, l, r, p] = tree[i], j = x[f] <= thr ? l : r;
+    contrib.set(f, (contrib.get(f) || 0) + tree[j][4] - p);
+    i = j;
+  }
+  return { p: tree[i][4], prior: tree[0][4], contrib };
+}
+
+// Probability of every class for one feature vector, with the per-feature
+// contributions (largest first) that take it from the class prior to p.
+export function classify(x) {
+  return MODEL.classes.map(({ id, tree }) => {
+    const { p, prior, contrib } = walk(tree, x);
+    return {
+      ...FAULT_CLASSES.find(c => c.id === id), p, prior,
+      contributions: [...contrib].map(([f, delta]) => {
+        const [key, label, unit] = FEATURES[f];
+        return { key, label, unit, value: x[f], delta };
+      }).sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta)),
+    };
+  });
+}
+
+// hold-out precision / recall recorded at training time, by class id
+export const CLASS_METRICS = Object.fromEntries(MODEL.classes.map(c => [c.id, c.metrics]));
@@ -0,0 +1,85 @@
+// ─── ENVELOPE ANALYSIS ────────────────────────────────
+// Bearing defects hit the housing once per ball pass and ring its structural
+// resonance. Band-passing around that resonance and demodulating leaves the
+// impact rate, which shows up in the envelope spectrum at BPFO / BPFI / 2×BSF
+// long before the velocity trend moves.
+
+import { fft, ifft, amplitudeSpectrum, peakNear } from "./spectrum";
+import { defectFrequencies } from "../sim/bearings";
+import { FAULT_TYPES } from "../sim/faults";
+
+export const ENVELOPE_METHODS = { hilbert: "Hilbert", rectify: "Rectify + smooth" };
+
+// Selectable pass bands; "auto" centres on the bearing's housing resonance.
+export const ENVELOPE_BANDS = { auto: "Auto · resonance", "1000-2000": "1–2 kHz", "2000-4000": "2–4 kHz", "500-4000": "0.5–4 kHz" };
+
+export const resolveBand = (key, resonance, fs) => (key === "auto"
+  ? [Math.max(500, resonance - 1200), Math.min(fs / 2 - 100, resonance + 800)]
+  : key.split("-").map(Number));
+
+// gain 1 inside [lo, hi] with raised-cosine skirts `taper` Hz wide
+const bandGain = ([lo, hi], taper) => (f) => {
+  if (f < lo - taper || f > hi + taper) return 0;
+  if (f < lo) return 0.5 - 0.5 * Math.cos(Math.PI * (f - lo + taper) / taper);
+  if (f > hi) return 0.5 - 0.5 * Math.cos(Math.PI * (hi + taper - f) / taper);
+  return 1;
+};
+
+// Envelope of x (length a power of two). Hilbert: magnitude of the analytic
+// signal of the band. Rectify: |band| low-passed below the band's lower edge.
+export function envelope(x, fs, { band, method = "hilbert" }) {
+  const n = x.length, df = fs / n, taper = 0.1 * (band[1] - band[0]);
+  const re = Float64Array.from(x), im = new Float64Array(n);
+  const g = bandGain(band, taper);
+  fft(re, im);
+  for (let k = 0; k < n; k++) {
+    const f = (k <= n / 2 ? k : n - k) * df;
+    // the analytic signal keeps positive frequencies only, doubled
+    const w = g(f) * (method === "hilbert" ? (k === 0 || k === n / 2 ? 1 : k < n / 2 ? 2 : 0) : 1);
+    re[k] *= w; im[k] *= w;
+  }
+  ifft(re, im);
+  if (method === "hilbert") return re.map((v, i) => Math.hypot(v, im[i]));
+
+  const lp = bandGain([0, Math.min(1000, band[0] / 2)], 100);
+  const r = re.map(Math.abs), ri = new Float64Array(n);
+  fft(r, ri);
+  for (let k = 0; k < n; k++) { const w = lp((k <= n / 2 ? k : n - k) * df); r[k] *= w; ri[k] *= w; }
+  ifft(r, ri);
+  return r;
+}
+
+// Averaged spectrum of the envelope (its mean removed) in the signal's units.
+export function envelopeSpectrum(x, fs, { band, method, nfft = 8192 }) {
+  const env = envelope(x, fs, { band, method });
+  const mean = env.reduce((s, v) => s + v, 0) / env.length;
+  return amplitudeSpectrum(env.map(v => v - mean), fs, { window: "hann", nfft, averages: Infinity });
+}
+
+// The defect lines searched for, by fault type
+export const ENVELOPE_DEFECTS = [
+  { type: "bearing_outer", name: "BPFO",  freq: (d) => d.bpfo },
+  { type: "bearing_inner", name: "BPFI",  freq: (d) => d.bpfi },
+  { type: "bearing_ball",  name: "2×BSF", freq: (d) => 2 * d.bsf },
+];
+
+const median = (a) => { const s = [...a].sort((x, y) => x - y); return s[Math.floor(s.length / 2)] || 1e-12; };
+
+// Looks for each defect line and its 2nd / 3rd harmonics, allowing 1 % for
+// rolling-element slip. A line counts when it stands `minSnr` dB over the
+// median floor within ±10 Hz; a defect is flagged when its fundamental and at
+// least one harmonic do.
+export function flagDefects(spec, bearing, fr, { minSnr = 10 } = {}) {
+  const { df, amp } = spec, d = defectFrequencies(bearing, fr);
+  return ENVELOPE_DEFECTS.map(({ type, name, freq }) => {
+    const lines = [1, 2, 3].map((h) => {
+      const f = h * freq(d), bins = Math.max(2, Math.ceil(0.01 * f / df));
+      const pk = peakNear(spec, f, bins);
+      const k0 = Math.round(f / df), w = Math.round(10 / df), ring = [];
+      for (let k = Math.max(1, k0 - w); k <= Math.min(amp.length - 1, k0 + w); k++) if (Math.abs(k - k0) > bins) ring.push(amp[k]);
+      const snr = 20 * Math.log10(pk.amp / median(ring));
+      return { h, f: pk.f, expected: f, amp: pk.amp, snr, hit: snr >= minSnr };
+    });
+    return { type, name, label: FAULT_TYPES[type].label, f: freq(d), lines, flagged: lines[0].hit && lines.slice(1).some(l => l.hit) };
+  });
+}
@@ -0,0 +1,98 @@
+// ─── DIAGNOSTIC FEATURES ──────────────────────────────
+// The condition indicators the fault classifier works on, taken from 2 s of
+// vibration at each bearing and 4 s of the three phase currents: time-domain
+// statistics, spectral band amplitudes, envelope defect lines, MCSA sidebands
+// and current unbalance. The same code builds the training set
+// (scripts/train-classifier.mjs) and runs in the browser.
+
+import { amplitudeSpectrum, peakNear } from "./spectrum";
+import { envelopeSpectrum, flagDefects, resolveBand } from "./envelope";
+import { analyseMcsa, dbRel } from "./mcsa";
+import { analysePhases, angleSkew } from "./symmetrical";
+import { FAULT_TYPES, vibrationModel, currentModel } from "../sim/faults";
+import { synthVibration, synthCurrents, VIB_FS, CUR_FS } from "../sim/waveform";
+import { BEARINGS } from "../sim/bearings";
+import { MOTOR } from "../sim/motor";
+
+// What the classifier tells apart: every fault type at every place it can
+// occur. A fault counts as present from a quarter of its critical severity.
+export const FAULT_CLASSES = Object.entries(FAULT_TYPES).flatMap(([type, ft]) =>
+  (ft.locations || [ft.comp]).map(comp => ({ id: ft.locations ? `${type}@${comp}` : type, type, comp, label: ft.label })));
+export const PRESENT_LEVEL = 0.25;
+
+const VIB_SAMPLES = 16384, CUR_SAMPLES = 8192;
+const LOCS = [["de", "bearing_drive"], ["nde", "bearing_fan"]];
+
+// [key, label, unit], in the order of the feature vector
+export const FEATURES = [
+  ...LOCS.flatMap(([p, loc]) => {
+    const at = loc === "bearing_drive" ? "DE" : "NDE";
+    return [
+      [`${p}.rms`,      `${at} velocity RMS`,      "mm/s"],
+      [`${p}.crest`,    `${at} crest factor`,      ""],
+      [`${p}.kurtosis`, `${at} kurtosis`,          ""],
+      [`${p}.1x`,       `${at} 1× running speed`,  "mm/s"],
+      [`${p}.2x`,       `${at} 2× running speed`,  "mm/s"],
+      [`${p}.3x`,       `${at} 3× running speed`,  "mm/s"],
+      [`${p}.2f`,       `${at} 2× line frequency`, "mm/s"],
+      [`${p}.hf`,       `${at} 1–4 kHz band`,      "mm/s"],
+      [`${p}.bpfo`,     `${at} envelope BPFO`,     "dB"],
+      [`${p}.bpfi`,     `${at} envelope BPFI`,     "dB"],
+      [`${p}.bsf`,      `${at} envelope 2×BSF`,    "dB"],
+    ];
+  }),
+  ["cur.bb",   "Broken-bar sideband",       "dB"],
+  ["cur.ecc",  "f ± fr sideband",           "dB"],
+  ["cur.psh",  "Slot harmonic ± f",         "dB"],
+  ["cur.3f",   "3rd harmonic current",      "dB"],
+  ["cur.iec",  "Current unbalance (IEC)",   "%"],
+  ["cur.nema", "Current unbalance (NEMA)",  "%"],
+  ["cur.skew", "Phase angle skew",          "°"],
+];
+
+// Waveforms of the twin at one operating point; `rand` makes them reproducible.
+export function featureSignals(op, faults, { t0 = 0, rand = Math.random, freq = MOTOR.ratedFreq } = {}) {
+  return {
+    vib: Object.fromEntries(LOCS.map(([, loc]) => [loc, synthVibration(vibrationModel(op, faults, loc, freq), { fs: VIB_FS, n: VIB_SAMPLES, t0, rand })])),
+    cur: synthCurrents(currentModel(op, faults, freq), { fs: CUR_FS, n: CUR_SAMPLES, t0, freq, rand }),
+  };
+}
+
+function moments(x) {
+  const n = x.length, mean = x.reduce((s, v) => s + v, 0) / n;
+  let m2 = 0, m4 = 0, pk = 0;
+  for (let i = 0; i < n; i++) { const d = x[i] - mean, d2 = d * d; m2 += d2; m4 += d2 * d2; pk = Math.max(pk, Math.abs(d)); }
+  m2 /= n; m4 /= n;
+  return { rms: Math.sqrt(m2), crest: pk / Math.sqrt(m2), kurtosis: m4 / (m2 * m2) };
+}
+
+// RMS of the spectrum between two frequencies
+const bandRms = ({ df, amp }, lo, hi) => {
+  let s = 0;
+  for (let k = Math.ceil(lo / df); k <= Math.min(amp.length - 1, hi / df); k++) s += amp[k] * amp[k];
+  return Math.sqrt(s);
+};
+
+// Feature vector (ordered as FEATURES) from the signals and the operating point.
+export function extractFeatures({ vib, cur }, op, freq = MOTOR.ratedFreq) {
+  const fr = op.rpm / 60;
+  const out = LOCS.flatMap(([, loc]) => {
+    const x = vib[loc], m = moments(x);
+    const spec = amplitudeSpectrum(x, VIB_FS, { nfft: 8192, averages: 3 });
+    const env = envelopeSpectrum(x, VIB_FS, { band: resolveBand("auto", BEARINGS[loc].resonance, VIB_FS), method: "hilbert", nfft: 8192 });
+    // mean height of a defect family's three lines over the floor
+    const defects = flagDefects(env, BEARINGS[loc], fr).map(d => d.lines.reduce((s, l) => s + Math.max(0, l.snr), 0) / 3);
+    return [m.rms, m.crest, m.kurtosis, ...[1, 2, 3].map(h => peakNear(spec, h * fr).amp), peakNear(spec, 2 * freq).amp, bandRms(spec, 1000, 4000), ...defects];
+  });
+
+  const spec = amplitudeSpectrum(cur[0], CUR_FS, { nfft: CUR_SAMPLES });
+  const mc = analyseMcsa(spec, { slip: op.slip, fr, freq });
+  const line = (name) => mc.eccentricity.find(l => l.name === name).db;
+  const ph = analysePhases(cur.map(x => x.subarray(0, CUR_FS)), CUR_FS, freq);
+  return [
+    ...out,
+    -mc.db, Math.max(line("f−fr"), line("f+fr")), Math.max(line("PSH−f"), line("PSH+f")),
+    dbRel(peakNear(spec, 3 * freq).amp, mc.fundamental.amp),
+    ph.iec, ph.nema, angleSkew(ph.phasors),
+  ];
+}
@@ -0,0 +1,91 @@
+// ─── HEALTH INDEX ─────────────────────────────────────
+// Each component's health (0–100) is a weighted mean of normalised condition
+// indicators: 1 is as good as new, 0 is at or past the point of damage. The
+// motor index rolls the components up by their criticality, so a failing
+// bearing costs more than a dented fan guard.
+
+export const HEALTH_INDICATORS = {
+  vibration:   { label: "Vibration zone" },
+  temperature: { label: "Temperature margin" },
+  unbalance:   { label: "Current unbalance" },
+  anomaly:     { label: "Anomaly score" },
+};
+
+export const HEALTH_DEFAULTS = {
+  weights: { vibration: 0.35, temperature: 0.3, unbalance: 0.2, anomaly: 0.15 },
+  // how much a component's condition counts towards the motor (0–1)
+  criticality: {
+    shaft: 0.9, bearing_drive: 1, rotor_bars: 1, stator_winding: 1,
+    bearing_fan: 0.8, housing: 0.3, fan_guard: 0.5, junction_box: 0.6,
+  },
+};
+
+// parts that carry the phase currents and so suffer from unbalance
+const ELECTRICAL = ["rotor_bars", "stator_winding", "junction_box"];
+
+// piecewise-linear score through [x, score] anchors, flat beyond the ends
+function ramp(x, pts) {
+  if (x <= pts[0][0]) return pts[0][1];
+  for (let i = 1; i < pts.length; i++) {
+    const [x0, y0] = pts[i - 1], [x1, y1] = pts[i];
+    if (x <= x1) return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+  }
+  return pts[pts.length - 1][1];
+}
+
+// Normalised indicators of one component; a reading that is missing (or does
+// not apply to the part) is left out. `limits` are the ISO 10816-3 zone
+// boundaries, `tLimit` the part's temperature limit, `unbalance` the current
+// unbalance (%) and `anomaly` the largest out-of-control ratio of its channels.
+export function healthIndicators(id, { vibration, temp, tLimit, unbalance, anomaly }, limits) {
+  const [ab, bc, cd] = limits;
+  return [
+    vibration != null && {
+      key: "vibration", value: vibration, text: `${vibration.toFixed(1)} mm/s`,
+      score: ramp(vibration, [[0, 1], [ab, 0.9], [bc, 0.6], [cd, 0.3], [1.5 * cd, 0]]),
+    },
+    // full marks 30 K below the limit, half at the 15 K warning line
+    temp != null && {
+      key: "temperature", value: tLimit - temp, text: tLimit >= temp ? `${Math.round(tLimit - temp)} K below ${tLimit}°C` : `${Math.round(temp - tLimit)} K over ${tLimit}°C`,
+      score: ramp(tLimit - temp, [[0, 0], [15, 0.5], [30, 1]]),
+    },
+    ELECTRICAL.includes(id) && unbalance != null && {
+      key: "unbalance", value: unbalance, text: `${unbalance.toFixed(1)} %`,
+      score: ramp(unbalance, [[1, 1], [5, 0.6], [10, 0.2], [15, 0]]),
+    },
+    anomaly != null && {
+      key: "anomaly", value: anomaly, text: `${anomaly.toFixed(2)}× limit`,
+      score: ramp(anomaly, [[0.5, 1], [1, 0.6], [2, 0.2], [3, 0]]),
+    },
+  ].filter(Boolean).map(ind => ({ ...ind, label: HEALTH_INDICATORS[ind.key].label }));
+}
+
+// Component index from its indicators. Weights are renormalised over the
+// indicators present; `loss` is the points each one takes off 100.
+export function componentHealth(indicators, weights) {
+  const total = indicators.reduce((s, ind) => s + (weights[ind.key] || 0), 0);
+  if (!total) return { health: null, parts: [] };
+  const parts = indicators.map(ind => {
+    const weight = (weights[ind.key] || 0) / total;
+    return { ...ind, weight, loss: 100 * weight * (1 - ind.score) };
+  });
+  return { health: 100 - parts.reduce((s, p) => s + p.loss, 0), parts };
+}
+
+// Motor index: the criticality-weighted mean of the components, but never
+// above what the worst of them allows (100 − criticality × its loss), so a
+// single failing part is not averaged away by seven healthy ones.
+export function motorHealth(components, criticality) {
+  const parts = components.filter(c => c.health != null).map(c => {
+    const crit = criticality[c.id] ?? 1;
+    return { id: c.id, label: c.label, health: c.health, crit, loss: crit * (100 - c.health) };
+  }).sort((a, b) => b.loss - a.loss);
+  const wsum = parts.reduce((s, p) => s + p.crit, 0);
+  if (!wsum) return { health: null, mean: null, cap: null, by: null, parts };
+  const mean = parts.reduce((s, p) => s + p.crit * p.health, 0) / wsum;
+  const cap = 100 - parts[0].loss;
+  return { health: Math.min(mean, cap), mean, cap, by: cap < mean ? "worst" : "mean", parts };
+}
+
+// health band for colouring
+export const healthStatus = (h) => (h == null ? null : h >= 75 ? "good" : h >= 50 ? "warning" : "critical");
@@ -0,0 +1,27 @@
+// ─── VIBRATION SEVERITY · ISO 10816-3 / 20816-3 ───────
+// Broad-band velocity (mm/s RMS, 10–1000 Hz) measured on the bearing housings
+// is judged against evaluation zones whose boundaries depend on machine size
+// and on how stiff the foundation is compared with the machine.
+
+export const MACHINE_GROUPS = {
+  group1: { label: "Group 1", detail: "300 kW – 50 MW", rigid: [2.3, 4.5, 7.1], flexible: [3.5, 7.1, 11.0] },
+  group2: { label: "Group 2", detail: "15 – 300 kW",    rigid: [1.4, 2.8, 4.5], flexible: [2.3, 4.5, 7.1] },
+};
+
+export const MOUNTINGS = { rigid: "Rigid", flexible: "Flexible" };
+
+export const ZONES = [
+  { zone: "A", label: "Newly commissioned",      status: "good" },
+  { zone: "B", label: "Unrestricted operation",  status: "good" },
+  { zone: "C", label: "Restricted operation",    status: "warning" },
+  { zone: "D", label: "Damage may occur",        status: "critical" },
+];
+
+// A/B, B/C and C/D boundaries (mm/s) for a group and mounting
+export const zoneLimits = ({ group, mounting }) => MACHINE_GROUPS[group][mounting];
+
+// zone of a velocity reading, or null when there is none
+export function vibrationZone(v, limits) {
+  if (v === null || v === undefined) return null;
+  return ZONES[limits.filter(b => v >= b).length];
+}
@@ -0,0 +1,66 @@
+// ─── REMAINING USEFUL LIFE ────────────────────────────
+// Fits an exponential degradation trend  y(t) = φ + e^(a + b·t)  to a
+// component's condition-indicator history (log-linear least squares on the
+// excess over the baseline φ), extrapolates it to the failure threshold and
+// propagates the parameter covariance by Monte Carlo for a confidence interval.
+// Times are in days.
+
+import { rng } from "../sim/sensors";
+
+// Which indicator each component is judged on and where it fails.
+// `threshold: null` means the limit selected in the UI: the insulation class
+// for temperature, the ISO 10816-3 zone C/D boundary for vibration.
+export const RUL_INDICATORS = {
+  shaft:          { key: "vibration", unit: "mm/s", threshold: null },
+  bearing_drive:  { key: "vibration", unit: "mm/s", threshold: null },
+  rotor_bars:     { key: "vibration", unit: "mm/s", threshold: null },
+  stator_winding: { key: "temp",      unit: "°C",   threshold: null },
+  bearing_fan:    { key: "vibration", unit: "mm/s", threshold: null },
+  housing:        { key: "vibration", unit: "mm/s", threshold: null },
+  fan_guard:      { key: "vibration", unit: "mm/s", threshold: null },
+  junction_box:   { key: "temp",      unit: "°C",   threshold: 90 },
+};
+
+export function fitExponential(pts, phi) {
+  const use = pts.filter(p => p.value > phi);
+  const n = use.length;
+  if (n < 5) return null;
+  const xs = use.map(p => p.t), ys = use.map(p => Math.log(p.value - phi));
+  const mx = xs.reduce((s, v) => s + v, 0) / n, my = ys.reduce((s, v) => s + v, 0) / n;
+  let sxx = 0, sxy = 0;
+  for (let i = 0; i < n; i++) { sxx += (xs[i] - mx) ** 2; sxy += (xs[i] - mx) * (ys[i] - my); }
+  const b = sxy / sxx, a = my - b * mx;
+  const s2 = ys.reduce((s, y, i) => s + (y - a - b * xs[i]) ** 2, 0) / (n - 2);
+  return { a, b, phi, n, cov: [[s2 * (1 / n + mx * mx / sxx), -mx * s2 / sxx], [-mx * s2 / sxx, s2 / sxx]] };
+}
+
+// history: [{ t, value }] ordered in time, last entry = now.
+// Returns { median, lo, hi } in days from now (90 % interval, Infinity when the
+// trend never reaches the threshold) plus the fitted trend.
+export function estimateRul(history, threshold, { draws = 400, seed = 3 } = {}) {
+  const now = history[history.length - 1];
+  if (now.value >= threshold) return { median: 0, lo: 0, hi: 0, fit: null };
+  const phi = 0.8 * Math.min(...history.map(p => p.value));
+  const fit = fitExponential(history, phi);
+  if (!fit) return null;
+
+  const cross = (a, b) => (b <= 0 ? Infinity : Math.max(0, (Math.log(threshold - phi) - a) / b - now.t));
+  // Cholesky of the 2×2 parameter covariance
+  const l11 = Math.sqrt(fit.cov[0][0]), l21 = fit.cov[1][0] / l11, l22 = Math.sqrt(Math.max(0, fit.cov[1][1] - l21 * l21));
+  const rand = rng(seed);
+  const gauss = () => Math.sqrt(-2 * Math.log(rand() || 1e-12)) * Math.cos(2 * Math.PI * rand());
+  const t = Array.from({ length: draws }, () => {
+    const z1 = gauss(), z2 = gauss();
+    return cross(fit.a + l11 * z1, fit.b + l21 * z1 + l22 * z2);
+  }).sort((x, y) => x - y);
+  const q = (p) => t[Math.min(draws - 1, Math.floor(p * draws))];
+  return { median: cross(fit.a, fit.b), lo: q(0.05), hi: q(0.95), fit };
+}
+
+const days = (d, horizon) => (d > horizon ? `>${horizon}` : `${Math.round(d)}`);
+
+// "12 days" / "8–17 d" style strings; null when there is no finite estimate
+export function formatRul(r, horizon = 180) {
+  if (!r || r.median > horizon) return null;
+  return { value: `${days(r.median, horizon)} days`, range: `${days(r.lo, horizon)}–${days(r.hi, horizon)} d` };
+}
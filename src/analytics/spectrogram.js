@@ -0,0 +1,59 @@
+// ─── SPECTROGRAM / WATERFALL FRAMES ───────────────────
+// Successive amplitude spectra over time: one frame per stream tick for the
+// live channels, or a short-time FFT across a transient run.
+
+import { amplitudeSpectrum } from "./spectrum";
+import { vibrationModel, currentModel } from "../sim/faults";
+import { synthVibration, synthCurrents, VIB_FS, CUR_FS } from "../sim/waveform";
+
+export const WATERFALL_FRAMES = 300; // frames kept per live channel
+
+// Live channels: where the waveform comes from and which spans make sense.
+export const STREAM_SPECTRA = [
+  { id: "vib_de",  label: "Vibration · DE",  unit: "mm/s", fs: VIB_FS, nfft: 4096, ranges: [[0, 200], [0, 500], [0, 1000], [0, 4000]],
+    signal: (op, faults, t0) => synthVibration(vibrationModel(op, faults, "bearing_drive"), { fs: VIB_FS, n: 4096, t0 }) },
+  { id: "vib_nde", label: "Vibration · NDE", unit: "mm/s", fs: VIB_FS, nfft: 4096, ranges: [[0, 200], [0, 500], [0, 1000], [0, 4000]],
+    signal: (op, faults, t0) => synthVibration(vibrationModel(op, faults, "bearing_fan"), { fs: VIB_FS, n: 4096, t0 }) },
+  { id: "cur_a",   label: "Current · A",     unit: "A",    fs: CUR_FS, nfft: 4096, ranges: [[40, 80], [0, 200], [0, 1000]],
+    signal: (op, faults, t0) => synthCurrents(currentModel(op, faults), { fs: CUR_FS, n: 4096, t0 })[0] },
+];
+
+// Spectrum of every live channel at one operating point, as { [id]: frame }.
+export function streamFrames(op, faults, t) {
+  return Object.fromEntries(STREAM_SPECTRA.map(c => {
+    const { df, amp } = amplitudeSpectrum(c.signal(op, faults, t), c.fs, { nfft: c.nfft });
+    return [c.id, { t, df, amp: Float32Array.from(amp) }];
+  }));
+}
+
+// Appends to per-channel frame lists without mutating them, keeping the newest `capacity`.
+export const appendFrames = (prev, frames, capacity = WATERFALL_FRAMES) => Object.fromEntries(
+  Object.entries(frames).map(([id, f]) => [id, [...(prev[id] || []).slice(-(capacity - 1)), f]]),
+);
+
+// Short-time FFT: Hann blocks of nfft every `hop` samples; t is the block centre.
+export function stft(x, fs, { nfft = 128, hop = nfft / 4, t0 = 0 } = {}) {
+  const frames = [];
+  for (let i = 0; i + nfft <= x.length; i += hop) {
+    const { df, amp } = amplitudeSpectrum(x.slice(i, i + nfft), fs, { nfft });
+    frames.push({ t: t0 + (i + nfft / 2) / fs, df, amp: Float32Array.from(amp) });
+  }
+  return frames;
+}
+
+// ── colour scales ──
+export const rgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+export const COLOR_SCALES = {
+  viridis: ["#440154", "#414487", "#2a788e", "#22a884", "#7ad151", "#fde725"].map(rgb),
+  inferno: ["#000004", "#420a68", "#932667", "#dd513a", "#fca50a", "#fcffa4"].map(rgb),
+  jet:     ["#00007f", "#0000ff", "#00ffff", "#ffff00", "#ff0000", "#7f0000"].map(rgb),
+  grey:    ["#05080d", "#ffffff"].map(rgb),
+};
+
+// v in 0…1 → [r, g, b], linear between the stops
+export function colorAt(stops, v) {
+  const x = Math.min(1, Math.max(0, v)) * (stops.length - 1), i = Math.min(stops.length - 2, Math.floor(x)), f = x - i;
+  return stops[i].map((c, k) => Math.round(c + (stops[i + 1][k] - c) * f));
+}
+
+export const cssGradient = (stops) => `linear-gradient(90deg, ${stops.map(c => `rgb(${c.join(",")})`).join(", ")})`;
@@ -0,0 +1,93 @@
+// ─── SPECTRAL ANALYSIS ────────────────────────────────
+// Radix-2 FFT and a Welch-style averaged amplitude spectrum. Blocks overlap
+// by half, each is windowed and the power spectra are averaged linearly, so
+// more averages steady the noise floor without smearing discrete tones.
+
+// Cosine-sum windows. Hann separates close lines best; the flat-top reads
+// tone amplitudes to within 0.01 dB wherever they fall between bins.
+export const SPECTRUM_WINDOWS = {
+  hann:    { label: "Hann",     a: [0.5, 0.5] },
+  flattop: { label: "Flat-top", a: [0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368] },
+};
+
+export function windowCoefs(kind, n) {
+  const { a } = SPECTRUM_WINDOWS[kind];
+  const w = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    const x = 2 * Math.PI * i / n;
+    w[i] = a.reduce((s, ak, k) => s + (k % 2 ? -ak : ak) * Math.cos(k * x), 0);
+  }
+  return w;
+}
+
+// In-place iterative FFT; the length must be a power of two.
+export function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) { [re[i], re[j]] = [re[j], re[i]]; [im[i], im[j]] = [im[j], im[i]]; }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = -2 * Math.PI / len, wr = Math.cos(ang), wi = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1, ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k, b = a + len / 2;
+        const tr = re[b] * cr - im[b] * ci, ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr; im[b] = im[a] - ti;
+        re[a] += tr; im[a] += ti;
+        [cr, ci] = [cr * wr - ci * wi, cr * wi + ci * wr];
+      }
+    }
+  }
+}
+
+// inverse of fft(), also in place (conjugate trick, scaled by 1/n)
+export function ifft(re, im) {
+  fft(im, re);
+  for (let i = 0; i < re.length; i++) { re[i] /= re.length; im[i] /= re.length; }
+}
+
+// samples needed for `averages` half-overlapping blocks of `nfft`
+export const samplesFor = (nfft, averages) => nfft * (averages + 1) / 2;
+
+// Averaged single-sided spectrum of x in RMS units of the signal, one value
+// per bin of width fs / nfft (bin 0 is DC).
+export function amplitudeSpectrum(x, fs, { window = "hann", nfft = 8192, averages = 1 } = {}) {
+  const w = windowCoefs(window, nfft), cg = w.reduce((s, v) => s + v, 0);
+  const half = nfft / 2, hop = nfft / 2;
+  const blocks = Math.max(1, Math.min(averages, Math.floor((x.length - nfft) / hop) + 1));
+  const pow = new Float64Array(half + 1);
+  const re = new Float64Array(nfft), im = new Float64Array(nfft);
+  for (let b = 0; b < blocks; b++) {
+    for (let i = 0; i < nfft; i++) { re[i] = (x[b * hop + i] || 0) * w[i]; im[i] = 0; }
+    fft(re, im);
+    for (let k = 0; k <= half; k++) pow[k] += re[k] * re[k] + im[k] * im[k];
+  }
+  // peak = 2|X|/Σw, RMS = peak/√2 (DC and Nyquist are not doubled)
+  const amp = Array.from(pow, (p, k) => Math.sqrt(p / blocks) / cg * (k === 0 || k === half ? 1 : Math.SQRT2));
+  return { df: fs / nfft, amp, blocks };
+}
+
+// Chart rows from fmin to fmax, thinned to at most maxPts by keeping the
+// largest line in each group so narrow peaks survive.
+export function spectrumRows({ df, amp }, fmax, { fmin = 0, maxPts = 800 } = {}) {
+  const first = Math.max(1, Math.ceil(fmin / df)), last = Math.min(amp.length - 1, Math.floor(fmax / df));
+  const step = Math.max(1, Math.ceil((last - first) / maxPts)), rows = [];
+  for (let k = first; k <= last; k += step) {
+    let m = k;
+    for (let j = k + 1; j < Math.min(k + step, last + 1); j++) if (amp[j] > amp[m]) m = j;
+    rows.push({ f: +(m * df).toFixed(2), amp: amp[m] });
+  }
+  return rows;
+}
+
+// largest line within ±bins of f, as { f, amp }
+export function peakNear({ df, amp }, f, bins = 2) {
+  const c = Math.round(f / df);
+  let m = Math.max(0, c - bins);
+  for (let k = m + 1; k <= Math.min(amp.length - 1, c + bins); k++) if (amp[k] > amp[m]) m = k;
+  return { f: m * df, amp: amp[m] };
+}
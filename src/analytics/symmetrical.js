@@ -0,0 +1,81 @@
+// ─── PHASE CURRENTS · SYMMETRICAL COMPONENTS ──────────
+// True RMS and the fundamental phasor of each phase from a block of sampled
+// currents, the Fortescue sequence components and the two common unbalance
+// figures: NEMA MG 1 (largest deviation from the mean RMS) and IEC
+// (negative- over positive-sequence current).
+
+import { MOTOR } from "../sim/motor";
+
+export const PHASE_NAMES = ["A", "B", "C"];
+
+// IEC unbalance (%) at which a fault is raised
+export const UNBALANCE_LIMITS = { warning: 5, critical: 10 };
+
+const c = (re, im = 0) => ({ re, im });
+const add = (...z) => z.reduce((s, v) => c(s.re + v.re, s.im + v.im), c(0));
+const mul = (a, b) => c(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+const scale = (a, k) => c(a.re * k, a.im * k);
+export const cabs = (a) => Math.hypot(a.re, a.im);
+export const carg = (a) => Math.atan2(a.im, a.re);
+const A1 = c(Math.cos(2 * Math.PI / 3), Math.sin(2 * Math.PI / 3)), A2 = mul(A1, A1);
+
+// RMS phasor at freq by a single-bin DFT (the block should hold whole cycles)
+function phasorAt(x, fs, freq) {
+  let re = 0, im = 0;
+  for (let i = 0; i < x.length; i++) {
+    const w = 2 * Math.PI * freq * i / fs;
+    re += x[i] * Math.cos(w); im -= x[i] * Math.sin(w);
+  }
+  return scale(c(re, im), Math.SQRT2 / x.length);
+}
+
+// NEMA MG 1 unbalance (%) from three RMS magnitudes
+export function nemaUnbalance(rms) {
+  const avg = rms.reduce((s, v) => s + v, 0) / 3;
+  return avg > 0 ? 100 * Math.max(...rms.map(v => Math.abs(v - avg))) / avg : 0;
+}
+
+// Full analysis of three sampled phase currents.
+export function analysePhases(waves, fs, freq = MOTOR.ratedFreq) {
+  const rms = waves.map(x => Math.sqrt(x.reduce((s, v) => s + v * v, 0) / x.length));
+  // phasors referred to phase A so the diagram holds still
+  const raw = waves.map(x => phasorAt(x, fs, freq)), ref = c(Math.cos(-carg(raw[0])), Math.sin(-carg(raw[0])));
+  const phasors = raw.map(p => mul(p, ref));
+  const [a, b, cc] = phasors;
+  const seq = {
+    zero:     scale(add(a, b, cc), 1 / 3),
+    positive: scale(add(a, mul(A1, b), mul(A2, cc)), 1 / 3),
+    negative: scale(add(a, mul(A2, b), mul(A1, cc)), 1 / 3),
+  };
+  return { rms, phasors, seq, nema: nemaUnbalance(rms), iec: 100 * cabs(seq.negative) / cabs(seq.positive) };
+}
+
+// largest departure (degrees) of the phasor spacing from 120°
+export function angleSkew(phasors) {
+  return Math.max(...phasors.map((p, i) => {
+    const d = (carg(p) - carg(phasors[(i + 1) % 3])) * 180 / Math.PI;
+    return Math.abs((((d % 360) + 360) % 360) - 120);
+  }));
+}
+
+// The fault an unbalance points to, or null. Without line voltages the cause
+// is a judgement: a line-side defect (unbalanced supply, loose terminal) skews
+// the phasor spacing by about as many degrees as the magnitudes differ in
+// percent, while shorted turns mostly raise the current of their own phase.
+// A recording has RMS values only, so its unbalance is judged on NEMA and the
+// cause left open.
+export function unbalanceFault(an) {
+  const pct = an.iec ?? an.nema;
+  if (!(pct >= UNBALANCE_LIMITS.warning)) return null;
+  const kind = an.phasors ? (angleSkew(an.phasors) >= 0.5 * an.nema ? "supply" : "stator") : null;
+  const pick = (better) => an.rms.reduce((m, v, i) => (better(v, an.rms[m]) ? i : m), 0);
+  const ph = PHASE_NAMES[kind === "stator" ? pick((a, b) => a > b) : pick((a, b) => a < b)];
+  return {
+    kind, phase: ph, pct,
+    status: pct >= UNBALANCE_LIMITS.critical ? "critical" : "warning",
+    text: `Current unbalance ${pct.toFixed(1)} % — ` + (
+      kind === "stator" ? `phase ${ph} high, inter-turn fault suspected`
+      : kind === "supply" ? `phase angles skewed, lowest current in ${ph}, supply / connection fault suspected`
+      : `phase ${ph} lowest, check supply and winding`),
+  };
+}
@@ -0,0 +1,61 @@
+import { useState } from "react";
+import { T, PRIORITY_COLOR } from "../theme";
+import { ALARM_STATES, ALARM_PRIORITIES, searchAlarms } from "../data/alarms";
+import { fmtClock } from "../data/stream";
+
+// ─── ALARM HISTORY ────────────────────────────────────
+// Every alarm since the dashboard opened, including the ones back to normal.
+// Search covers the alarm text, its source and operator comments; a row opens
+// its journal of transitions.
+export default function AlarmHistory({ alarms, onClose }) {
+  const [filter, setFilter] = useState({ query: "", priority: "", state: "" });
+  const [open, setOpen] = useState(null);
+  const rows = searchAlarms(alarms, filter);
+
+  const sel = { background:"#0a1e35", color:T.text, border:`1px solid ${T.cardBorder}`, borderRadius:4, fontSize:9, fontFamily:"inherit", padding:"2px 4px" };
+
+  return (
+    <div style={{ background:T.card, border:`1px solid ${T.cardBorder}`, borderRadius:10, overflow:"hidden" }}>
+      <div style={{ padding:"8px 14px", borderBottom:`1px solid ${T.cardBorder}`, display:"flex", alignItems:"center", justifyContent:"space-between" }}>
+        <span style={{ fontSize:10, fontWeight:700, color:T.accent, textTransform:"uppercase", letterSpacing:1.5 }}>Alarm History</span>
+        <button onClick={onClose} style={{ background:"transparent", border:"none", color:T.textMuted, cursor:"pointer", fontSize:11, padding:0 }}>✕</button>
+      </div>
+      <div style={{ padding:10, display:"flex", flexDirection:"column", gap:6 }}>
+        <div style={{ display:"flex", gap:5 }}>
+          <input value={filter.query} onChange={e=>setFilter({ ...filter, query: e.target.value })} placeholder="Search text, source, comments" style={{ ...sel, flex:1, minWidth:0 }} />
+          <select value={filter.priority} onChange={e=>setFilter({ ...filter, priority: e.target.value })} style={sel}>
+            <option value="">All priorities</option>
+            {Object.entries(ALARM_PRIORITIES).map(([k, p]) => <option key={k} value={k}>{p.label}</option>)}
+          </select>
+          <select value={filter.state} onChange={e=>setFilter({ ...filter, state: e.target.value })} style={sel}>
+            <option value="">All states</option>
+            {Object.entries(ALARM_STATES).map(([k, s]) => <option key={k} value={k}>{s.label}</option>)}
+          </select>
+        </div>
+        <div style={{ fontSize:9, color:T.textMuted }}>{rows.length} of {alarms.length} alarms</div>
+        <div style={{ maxHeight:280, overflowY:"auto", display:"flex", flexDirection:"column", gap:4 }}>
+          {rows.map(a => (
+            <div key={a.id} onClick={()=>setOpen(open === a.id ? null : a.id)} style={{ background:"#0a1e35", borderRadius:6, padding:"5px 8px", cursor:"pointer" }}>
+              <div style={{ display:"flex", alignItems:"center", gap:6, fontSize:9 }}>
+                <span style={{ color:PRIORITY_COLOR[a.priority], fontWeight:700, width:44 }}>{ALARM_PRIORITIES[a.priority].label}</span>
+                <span style={{ color:T.text, flex:1, overflow:"hidden", textOverflow:"ellipsis", whiteSpace:"nowrap" }} title={a.text}>{a.text}</span>
+                <span style={{ color:T.textMuted, fontSize:8, letterSpacing:0.6 }}>{ALARM_STATES[a.state].short}</span>
+              </div>
+              <div style={{ fontSize:8.5, color:T.textMuted, marginTop:1 }}>📍 {a.source} · {fmtClock(a.raised)}{a.closed !== null && ` – ${fmtClock(a.closed)}`}</div>
+              {open === a.id && (
+                <div style={{ marginTop:4, borderTop:`1px solid ${T.cardBorder}`, paddingTop:3 }}>
+                  {a.events.map((e, i) => (
+                    <div key={i} style={{ display:"grid", gridTemplateColumns:"38px 80px 1fr", gap:6, fontSize:8.5, color:T.textDim }}>
+                      <span>{fmtClock(e.t)}</span><span>{e.action}</span>
+                      <span style={{ color:e.note ? T.text : T.textMuted }}>{e.note ?? ALARM_STATES[e.state].label}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import { T } from "../theme";
+
+const fmt = (v, unit) => `${Math.abs(v) >= 100 ? v.toFixed(0) : Math.abs(v) >= 10 ? v.toFixed(1) : v.toFixed(2)}${unit ? ` ${unit}` : ""}`;
+
+// ─── DIAGNOSIS EXPLANATION ────────────────────────────
+// Why the classifier reported a fault: the features its tree split on, each
+// with the reading and how far it moved the probability from the prior.
+export default function DiagnosisView({ diagnosis, metrics }) {
+  const { label, p, prior, contributions } = diagnosis;
+  const top = contributions.slice(0, 6), max = Math.max(...top.map(c => Math.abs(c.delta)), 1e-6);
+
+  return (
+    <div style={{ background:"#0a1e35", borderRadius:6, padding:"8px 10px", marginTop:8 }}>
+      <div style={{ display:"flex", alignItems:"baseline", gap:6, marginBottom:6 }}>
+        <span style={{ fontSize:10, fontWeight:700, color:T.text }}>{label}</span>
+        <span style={{ fontSize:9, color:T.textMuted }}>prior {(prior * 100).toFixed(0)} % → <span style={{ color:T.danger, fontWeight:700 }}>{(p * 100).toFixed(0)} %</span></span>
+        {metrics && <span style={{ marginLeft:"auto", fontSize:8.5, color:T.textMuted }} title="Measured on held-out simulator runs">P {(metrics.precision * 100).toFixed(0)} % · R {(metrics.recall * 100).toFixed(0)} %</span>}
+      </div>
+      {top.map(c => (
+        <div key={c.key} style={{ display:"grid", gridTemplateColumns:"1fr 62px 70px", alignItems:"center", gap:6, padding:"2px 0", fontSize:9 }}>
+          <span style={{ color:T.textDim, whiteSpace:"nowrap", overflow:"hidden", textOverflow:"ellipsis" }} title={c.key}>{c.label}</span>
+          <span style={{ color:T.text, textAlign:"right", fontVariantNumeric:"tabular-nums" }}>{fmt(c.value, c.unit)}</span>
+          {/* bar grows right for evidence for the fault, left for evidence against */}
+          <div style={{ position:"relative", height:8, background:"#061426", borderRadius:2 }} title={`${c.delta >= 0 ? "+" : "−"}${Math.abs(c.delta * 100).toFixed(0)} points`}>
+            <div style={{ position:"absolute", left:"50%", top:0, bottom:0, width:1, background:T.cardBorder }} />
+            <div style={{ position:"absolute", top:1, bottom:1, borderRadius:2, background:c.delta >= 0 ? T.danger : T.good,
+              left:c.delta >= 0 ? "50%" : `${50 - 50 * Math.abs(c.delta) / max}%`, width:`${50 * Math.abs(c.delta) / max}%` }} />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ReferenceLine } from "recharts";
+import { T } from "../theme";
+import { BEARINGS, defectFrequencies } from "../sim/bearings";
+import { VIB_FS } from "../sim/waveform";
+import { spectrumRows } from "../analytics/spectrum";
+import { ENVELOPE_METHODS, ENVELOPE_BANDS } from "../analytics/envelope";
+
+const LOCATIONS = [["bearing_drive", "DE"], ["bearing_fan", "NDE"]];
+const RESOLUTIONS = [4096, 8192, 16384];   // envelope FFT length → Δf = fs / N
+const RANGES = [200, 500, 1000];
+const DEFECT_COLOR = { bearing_outer: T.warn, bearing_inner: T.danger, bearing_ball: "#2ed573" };
+
+const EnvTooltip = ({ active, payload, label }) => {
+  if (!active || !payload?.length) return null;
+  return (
+    <div style={{ background:"#0d1f35", border:`1px solid ${T.cardBorder}`, borderRadius:6, padding:"6px 10px" }}>
+      <div style={{ fontSize:9, color:T.textMuted }}>f = {label} Hz</div>
+      <div style={{ fontSize:11, color:T.accent, fontWeight:600 }}>{payload[0].value.toFixed(4)} <span style={{ color:T.text }}>mm/s</span></div>
+    </div>
+  );
+};
+
+// ─── ENVELOPE SPECTRUM ────────────────────────────────
+// Demodulated high-frequency vibration at one bearing. The analysis itself
+// runs in App for both bearings so the component cards can carry its flags;
+// this view shows one of them and edits the shared settings. `modelled` marks
+// the twin's waveform standing in while a feed supplies the readings.
+export default function EnvelopeView({ env, modelled, loc, onLoc, settings, onSettings, fr, onSelect }) {
+  const btn = (on) => ({ padding:"2px 7px", fontSize:9, background:on?`${T.accent}30`:"transparent", color:on?T.accent:T.textMuted, border:`1px solid ${on?T.accent:T.cardBorder}`, borderRadius:4, cursor:"pointer", fontFamily:"inherit" });
+  const sel = { background:"#0a1e35", color:T.text, border:`1px solid ${T.cardBorder}`, borderRadius:4, fontSize:9, fontFamily:"inherit", padding:"2px 4px" };
+  const set = (k) => (e) => onSettings({ ...settings, [k]: typeof settings[k] === "number" ? +e.target.value : e.target.value });
+
+  const controls = (
+    <div style={{ display:"flex", alignItems:"center", gap:4, padding:"0 4px 8px", flexWrap:"wrap" }}>
+      {LOCATIONS.map(([id, label]) => <button key={id} onClick={()=>onLoc(id)} style={btn(loc===id)} title={BEARINGS[id].designation}>{label}</button>)}
+      <select value={settings.band} onChange={set("band")} style={{ ...sel, marginLeft:6 }} title="Band-pass">
+        {Object.entries(ENVELOPE_BANDS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+      </select>
+      <select value={settings.method} onChange={set("method")} style={sel} title="Demodulation">
+        {Object.entries(ENVELOPE_METHODS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+      </select>
+      <select value={settings.nfft} onChange={set("nfft")} style={sel} title="Frequency resolution">
+        {RESOLUTIONS.map(n => <option key={n} value={n}>Δf {VIB_FS / n} Hz</option>)}
+      </select>
+      <select value={settings.fmax} onChange={set("fmax")} style={{ ...sel, marginLeft:"auto" }} title="Frequency span">
+        {RANGES.map(f => <option key={f} value={f}>0–{f} Hz</option>)}
+      </select>
+    </div>
+  );
+  if (!env) return <>{controls}<div style={{ height:140, display:"flex", alignItems:"center", justifyContent:"center", color:T.textMuted, fontSize:11, fontStyle:"italic" }}>No vibration waveform in a recording — return to live data for envelope analysis</div></>;
+
+  const { fmax } = settings;
+  const rows = spectrumRows(env.spec, fmax);
+  const cursors = [
+    ...env.flags.flatMap(d => d.lines.map(l => ({ key: `${d.name}-${l.h}`, name: l.h === 1 ? d.name : `${l.h}×`, f: l.expected, color: DEFECT_COLOR[d.type], strong: d.flagged }))),
+    { key: "ftf", name: "FTF", f: defectFrequencies(BEARINGS[loc], fr).ftf, color: "#a29bfe" },
+    { key: "1x", name: "1×", f: fr, color: T.text },
+  ].filter(c => c.f < fmax);
+  const flagged = env.flags.filter(d => d.flagged);
+
+  return (
+    <>
+      {controls}
+      <ResponsiveContainer width="100%" height={140}><LineChart data={rows}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#0f2a4a" />
+        <XAxis dataKey="f" type="number" domain={[0, fmax]} tick={{fontSize:9,fill:T.textMuted}} axisLine={{stroke:T.cardBorder}} tickLine={false} unit=" Hz" />
+        <YAxis tick={{fontSize:9,fill:T.textMuted}} axisLine={{stroke:T.cardBorder}} tickLine={false} domain={[0, "auto"]} tickFormatter={v => +v.toPrecision(2)} />
+        <Tooltip content={<EnvTooltip />} />
+        {cursors.map(({ key, name, f, color, strong }, i) => (
+          <ReferenceLine key={key} x={f} stroke={color} strokeDasharray={strong ? undefined : "3 3"} strokeOpacity={strong ? 0.9 : 0.45}
+            label={{ value: name, position: "insideTopLeft", fill: color, fontSize: 8, dy: (i % 3) * 9 }} />
+        ))}
+        <Line type="linear" dataKey="amp" stroke={T.accent} strokeWidth={1.2} dot={false} isAnimationActive={false} name="Envelope" />
+      </LineChart></ResponsiveContainer>
+      <div style={{ display:"flex", flexWrap:"wrap", alignItems:"center", gap:"3px 8px", padding:"4px 6px 0", fontSize:8.5, color:T.textMuted }}>
+        <span>{BEARINGS[loc].designation} · band {env.band[0]}–{env.band[1]} Hz · {env.spec.blocks} avg</span>
+        {modelled ? (
+          <span style={{ marginLeft:"auto", fontStyle:"italic" }} title="The telemetry feed carries no vibration waveforms">
+            Twin's waveform, not the feed{flagged.length > 0 && ` · model lines: ${flagged.map(d => d.name).join(", ")}`}
+          </span>
+        ) : flagged.length ? flagged.map(d => (
+          <button key={d.type} onClick={()=>onSelect(loc)} title="Show on the component card"
+            style={{ fontSize:8.5, fontFamily:"inherit", color:DEFECT_COLOR[d.type], background:`${DEFECT_COLOR[d.type]}18`, border:`1px solid ${DEFECT_COLOR[d.type]}55`, borderRadius:4, padding:"1px 6px", cursor:"pointer" }}>
+            ⚑ {d.name} {d.lines[0].f.toFixed(1)} Hz · +{d.lines[0].snr.toFixed(0)} dB · {d.lines.filter(l => l.hit).length}/3 harmonics
+          </button>
+        )) : <span style={{ marginLeft:"auto", color:T.good }}>No bearing defect lines</span>}
+      </div>
+    </>
+  );
+}
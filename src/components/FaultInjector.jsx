@@ -0,0 +1,63 @@
+import { useState } from "react";
+import { T } from "../theme";
+import { FAULT_TYPES, createFault, faultLevel, faultSignature } from "../sim/faults";
+
+// ─── FAULT INJECTION PANEL ────────────────────────────
+// Adds, tunes and removes simulated faults. The list is the ground truth the
+// diagnostics are tested against, so each row also shows where the fault
+// should appear in the spectra at the present operating point.
+export default function FaultInjector({ faults, onChange, op, components }) {
+  const [type, setType] = useState("bearing_inner");
+  const [loc, setLoc] = useState("");
+  const ft = FAULT_TYPES[type];
+  const compLabel = (id) => components.find(c => c.id === id)?.label || id;
+
+  const update = (id, severity) => onChange(faults.map(f => (f.id === id ? { ...f, severity } : f)));
+  const remove = (id) => onChange(faults.filter(f => f.id !== id));
+  const add = () => onChange([...faults, createFault(type, ft.locations ? (loc || ft.locations[0]) : undefined)]);
+
+  const sel = { background:"#0a1e35", color:T.text, border:`1px solid ${T.cardBorder}`, borderRadius:4, fontSize:9, fontFamily:"inherit", padding:"2px 4px" };
+
+  return (
+    <div style={{ background:T.card, border:`1px solid ${T.cardBorder}`, borderRadius:10, overflow:"hidden" }}>
+      <div style={{ padding:"8px 14px", borderBottom:`1px solid ${T.cardBorder}`, display:"flex", alignItems:"center", justifyContent:"space-between" }}>
+        <span style={{ fontSize:10, fontWeight:700, color:T.accent, textTransform:"uppercase", letterSpacing:1.5 }}>Fault Injection</span>
+        <span style={{ fontSize:8, color:T.textMuted, letterSpacing:0.8, textTransform:"uppercase" }}>Ground truth</span>
+      </div>
+      <div style={{ padding:10, display:"flex", flexDirection:"column", gap:7 }}>
+        {faults.map(f => {
+          const d = FAULT_TYPES[f.type], lv = faultLevel(f);
+          const c = lv >= 1 ? T.danger : lv > 0 ? T.warn : T.textMuted;
+          return (
+            <div key={f.id} style={{ background:"#0a1e35", borderRadius:6, padding:"7px 9px" }}>
+              <div style={{ display:"flex", alignItems:"center", gap:6 }}>
+                <span style={{ fontSize:10, fontWeight:700, color:c, flex:1 }}>{d.label}</span>
+                <span style={{ fontSize:9, color:T.textDim }}>📍 {compLabel(f.comp)}</span>
+                <button onClick={()=>remove(f.id)} style={{ background:"transparent", border:"none", color:T.textMuted, cursor:"pointer", fontSize:11, padding:0 }}>✕</button>
+              </div>
+              <div style={{ display:"flex", alignItems:"center", gap:6, marginTop:4 }}>
+                <span style={{ fontSize:9, color:T.textMuted, width:90 }}>{d.param}</span>
+                <input type="range" min={d.min} max={d.max} step={d.step} value={f.severity} onChange={e=>update(f.id, +e.target.value)} style={{ flex:1, accentColor:c }} />
+                <span style={{ fontSize:9, color:T.text, width:56, textAlign:"right" }}>{f.severity} {d.unit}</span>
+              </div>
+              <div style={{ fontSize:8.5, color:T.textMuted, marginTop:2 }}>
+                {Object.entries(faultSignature(f, op)).map(([k,v]) => `${k} ${v.toFixed(1)} Hz`).join(" · ")}
+              </div>
+            </div>
+          );
+        })}
+        <div style={{ display:"flex", gap:5, alignItems:"center" }}>
+          <select value={type} onChange={e=>{ setType(e.target.value); setLoc(""); }} style={{ ...sel, flex:1 }}>
+            {Object.entries(FAULT_TYPES).map(([k,v]) => <option key={k} value={k}>{v.label}</option>)}
+          </select>
+          {ft.locations && (
+            <select value={loc || ft.locations[0]} onChange={e=>setLoc(e.target.value)} style={sel}>
+              {ft.locations.map(l => <option key={l} value={l}>{compLabel(l)}</option>)}
+            </select>
+          )}
+          <button onClick={add} style={{ ...sel, color:T.accent, borderColor:T.accent, cursor:"pointer" }}>+ Inject</button>
+        </div>
+      </div>
+    </div>
+  );
+}
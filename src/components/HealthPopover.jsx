@@ -0,0 +1,54 @@
+import { T, STATUS_COLOR } from "../theme";
+import { HEALTH_INDICATORS, HEALTH_DEFAULTS, healthStatus } from "../analytics/health";
+
+// ─── OVERALL HEALTH BREAKDOWN ─────────────────────────
+// Hover card under the Overall Health tile: which components pull the motor
+// index down and by how much, and the indicator weights and criticality
+// factors the index is computed with. The gap above the card is padding of
+// its wrapper, so the pointer stays inside the tile on its way down.
+export default function HealthPopover({ motor, components, config, onConfig }) {
+  const label = (id) => components.find(c => c.id === id)?.label || id;
+  const setWeight = (k, v) => onConfig({ ...config, weights: { ...config.weights, [k]: v } });
+  const setCrit = (id, v) => onConfig({ ...config, criticality: { ...config.criticality, [id]: v } });
+  const slider = (value, onChange) => (
+    <>
+      <input type="range" min={0} max={1} step={0.05} value={value} onChange={e=>onChange(+e.target.value)} style={{ flex:1, accentColor:T.accent }} />
+      <span style={{ width:26, textAlign:"right", color:T.text }}>{value.toFixed(2)}</span>
+    </>
+  );
+  const head = { fontSize:8.5, color:T.textMuted, textTransform:"uppercase", letterSpacing:1, margin:"8px 0 4px" };
+
+  return (
+    <div style={{ position:"absolute", top:"100%", left:0, paddingTop:4, zIndex:20 }}>
+      <div style={{ width:290, background:T.card, border:`1px solid ${T.cardBorder}`, borderRadius:8, padding:"8px 10px", boxShadow:"0 6px 20px rgba(0,0,0,0.5)", fontSize:9, color:T.textDim, textAlign:"left" }}>
+        <div style={{ color:T.text }}>
+          {motor.health === null ? "No readings to judge" : motor.by === "worst"
+            ? <>Held at <b>{motor.cap.toFixed(0)} %</b> by {motor.parts[0].label} — weighted mean {motor.mean.toFixed(0)} %</>
+            : <>Criticality-weighted mean <b>{motor.mean.toFixed(0)} %</b></>}
+        </div>
+        <div style={head}>Components · points lost × criticality</div>
+        {motor.parts.map(p => (
+          <div key={p.id} style={{ display:"grid", gridTemplateColumns:"1fr 34px 34px 40px", gap:6, padding:"1px 0" }}>
+            <span style={{ whiteSpace:"nowrap", overflow:"hidden", textOverflow:"ellipsis" }}>{p.label}</span>
+            <span style={{ textAlign:"right", color:STATUS_COLOR[healthStatus(p.health)] }}>{p.health.toFixed(0)} %</span>
+            <span style={{ textAlign:"right", color:T.textMuted }}>× {p.crit.toFixed(2)}</span>
+            <span style={{ textAlign:"right", color:p.loss >= 10 ? T.warn : T.textMuted }}>−{p.loss.toFixed(1)}</span>
+          </div>
+        ))}
+        <div style={head}>Indicator weights</div>
+        {Object.entries(HEALTH_INDICATORS).map(([k, ind]) => (
+          <div key={k} style={{ display:"flex", alignItems:"center", gap:6 }}>
+            <span style={{ width:110 }}>{ind.label}</span>{slider(config.weights[k], v => setWeight(k, v))}
+          </div>
+        ))}
+        <div style={head}>Criticality</div>
+        {Object.keys(config.criticality).map(id => (
+          <div key={id} style={{ display:"flex", alignItems:"center", gap:6 }}>
+            <span style={{ width:110, whiteSpace:"nowrap", overflow:"hidden", textOverflow:"ellipsis" }}>{label(id)}</span>{slider(config.criticality[id], v => setCrit(id, v))}
+          </div>
+        ))}
+        <button onClick={()=>onConfig(HEALTH_DEFAULTS)} style={{ marginTop:6, background:"transparent", color:T.accent, border:`1px solid ${T.cardBorder}`, borderRadius:4, fontSize:9, fontFamily:"inherit", padding:"1px 6px", cursor:"pointer" }}>Defaults</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import { useState, useMemo } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ReferenceLine } from "recharts";
+import { T, STATUS_COLOR } from "../theme";
+import { MOTOR } from "../sim/motor";
+import { currentModel } from "../sim/faults";
+import { synthCurrents, CUR_FS } from "../sim/waveform";
+import { SPECTRUM_WINDOWS, amplitudeSpectrum, spectrumRows, samplesFor } from "../analytics/spectrum";
+import { analyseMcsa, dbRel } from "../analytics/mcsa";
+
+const PHASES = ["A", "B", "C"];
+const RESOLUTIONS = [4096, 8192, 16384, 32768];  // FFT length → Δf = fs / N (2 … 16 s per block)
+const AVERAGES = [1, 2, 4];
+const SPANS = [["±10 Hz", 10], ["±40 Hz", 40], ["0–1 kHz", null]];
+
+const McsaTooltip = ({ active, payload, label }) => {
+  if (!active || !payload?.length) return null;
+  return (
+    <div style={{ background:"#0d1f35", border:`1px solid ${T.cardBorder}`, borderRadius:6, padding:"6px 10px" }}>
+      <div style={{ fontSize:9, color:T.textMuted }}>f = {label} Hz</div>
+      <div style={{ fontSize:11, color:T.accent, fontWeight:600 }}>{payload[0].value.toFixed(1)} <span style={{ color:T.text }}>dB</span></div>
+    </div>
+  );
+};
+
+// ─── MCSA ─────────────────────────────────────────────
+// High-resolution spectrum of one phase current around the supply frequency,
+// in dB relative to the fundamental. Broken-bar sidebands sit only 2sf (a
+// few Hz) either side of it, hence the long FFT blocks.
+export default function McsaView({ op, faults, t, freq = MOTOR.ratedFreq }) {
+  const [phase, setPhase] = useState(0);
+  const [win, setWin] = useState("hann");
+  const [nfft, setNfft] = useState(16384);
+  const [averages, setAverages] = useState(2);
+  const [span, setSpan] = useState(10);
+
+  const spec = useMemo(() => op && amplitudeSpectrum(
+    synthCurrents(currentModel(op, faults, freq), { fs: CUR_FS, n: samplesFor(nfft, averages), t0: t, freq })[phase],
+    CUR_FS, { window: win, nfft, averages },
+  ), [op, faults, freq, t, phase, win, nfft, averages]);
+
+  const btn = (on) => ({ padding:"2px 7px", fontSize:9, background:on?`${T.accent}30`:"transparent", color:on?T.accent:T.textMuted, border:`1px solid ${on?T.accent:T.cardBorder}`, borderRadius:4, cursor:"pointer", fontFamily:"inherit" });
+  const sel = { background:"#0a1e35", color:T.text, border:`1px solid ${T.cardBorder}`, borderRadius:4, fontSize:9, fontFamily:"inherit", padding:"2px 4px" };
+
+  if (!op) return <div style={{ height:140, display:"flex", alignItems:"center", justifyContent:"center", color:T.textMuted, fontSize:11, fontStyle:"italic" }}>No current waveform in a recording — return to live data for MCSA</div>;
+
+  const mcsa = analyseMcsa(spec, { slip: op.slip, fr: op.rpm / 60, freq });
+  const [fmin, fmax] = span ? [freq - span, freq + span] : [0, 1000];
+  const rows = spectrumRows(spec, fmax, { fmin }).map(r => ({ f: r.f, db: +dbRel(r.amp, mcsa.fundamental.amp).toFixed(1) }));
+  const cursors = [
+    ...mcsa.sidebands.map(l => ({ ...l, color: l.k === 1 ? T.warn : `${T.warn}99` })),
+    ...mcsa.eccentricity.map(l => ({ ...l, color: "#a29bfe" })),
+  ].filter(l => l.f > fmin && l.f < fmax);
+  const sevColor = STATUS_COLOR[mcsa.severity.status];
+
+  return (
+    <>
+      <div style={{ display:"flex", alignItems:"center", gap:4, padding:"0 4px 8px", flexWrap:"wrap" }}>
+        {PHASES.map((p, i) => <button key={p} onClick={()=>setPhase(i)} style={btn(phase===i)}>Phase {p}</button>)}
+        <select value={win} onChange={e=>setWin(e.target.value)} style={{ ...sel, marginLeft:6 }}>
+          {Object.entries(SPECTRUM_WINDOWS).map(([k, w]) => <option key={k} value={k}>{w.label}</option>)}
+        </select>
+        <select value={nfft} onChange={e=>setNfft(+e.target.value)} style={sel} title="Frequency resolution">
+          {RESOLUTIONS.map(n => <option key={n} value={n}>Δf {CUR_FS / n} Hz</option>)}
+        </select>
+        <select value={averages} onChange={e=>setAverages(+e.target.value)} style={sel} title="Averages (50 % overlap)">
+          {AVERAGES.map(a => <option key={a} value={a}>{a} avg</option>)}
+        </select>
+        <div style={{ display:"flex", gap:4, marginLeft:"auto" }}>
+          {SPANS.map(([label, s]) => <button key={label} onClick={()=>setSpan(s)} style={btn(span===s)}>{label}</button>)}
+        </div>
+      </div>
+      <ResponsiveContainer width="100%" height={140}><LineChart data={rows}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#0f2a4a" />
+        <XAxis dataKey="f" type="number" domain={[fmin, fmax]} tick={{fontSize:9,fill:T.textMuted}} axisLine={{stroke:T.cardBorder}} tickLine={false} unit=" Hz" />
+        <YAxis tick={{fontSize:9,fill:T.textMuted}} axisLine={{stroke:T.cardBorder}} tickLine={false} domain={[-100, 5]} allowDataOverflow unit=" dB" />
+        <Tooltip content={<McsaTooltip />} />
+        {cursors.map(({ name, f, color }, i) => (
+          <ReferenceLine key={name} x={f} stroke={color} strokeDasharray="3 3" strokeOpacity={0.8}
+            label={{ value: name, position: "insideTopLeft", fill: color, fontSize: 8, dy: (i % 2) * 9 + 12 }} />
+        ))}
+        <ReferenceLine x={freq} stroke={T.text} strokeOpacity={0.4} />
+        <Line type="linear" dataKey="db" stroke={T.accent} strokeWidth={1.2} dot={false} isAnimationActive={false} name={`Phase ${PHASES[phase]}`} />
+      </LineChart></ResponsiveContainer>
+      <div style={{ display:"flex", flexWrap:"wrap", alignItems:"center", gap:"3px 10px", padding:"4px 6px 0", fontSize:8.5, color:T.textMuted }}>
+        <span>I₁ {mcsa.fundamental.amp.toFixed(2)} A RMS · s {(op.slip * 100).toFixed(2)} % · 2sf {(2 * op.slip * freq).toFixed(2)} Hz</span>
+        {mcsa.sidebands.filter(l => l.k === 1).map(l => <span key={l.name}><span style={{ color:T.warn }}>({l.name === "−2s" ? "1−2s" : "1+2s"})f</span> {l.db.toFixed(1)} dB</span>)}
+        <span style={{ marginLeft:"auto", color:sevColor, background:`${sevColor}18`, border:`1px solid ${sevColor}44`, borderRadius:4, padding:"1px 6px", fontWeight:700 }} title="Strongest (1±2s)f sideband below the fundamental">
+          Rotor: {mcsa.db.toFixed(1)} dB · {mcsa.severity.label}
+        </span>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,52 @@
+import { useState } from "react";
+import { T } from "../theme";
+import { CHANNEL_UNITS } from "../data/channels";
+import { DEFAULT_MAPPING } from "../data/mqttMapping";
+import { DRIVE_LABEL, DRIVE_CHANNELS } from "../data/drive";
+
+const MOTOR_CHANNELS = { rpm: "Speed", phaseA: "Current L1", phaseB: "Current L2", phaseC: "Current L3" };
+
+// ─── MQTT TOPIC MAPPING EDITOR ────────────────────────
+// Rows of topic pattern → channel. Edits stay a draft until saved, so the
+// broker subscription is not rebuilt on every keystroke.
+export default function MqttMapping({ mapping, onChange, components }) {
+  const [draft, setDraft] = useState(mapping);
+  const dirty = JSON.stringify(draft) !== JSON.stringify(mapping);
+  const channelLabel = (ch) => {
+    if (MOTOR_CHANNELS[ch]) return `Motor · ${MOTOR_CHANNELS[ch]}`;
+    const [id, q] = ch.split(".");
+    if (id === "drive") return `${DRIVE_LABEL} · ${DRIVE_CHANNELS[q][0]}`;
+    return `${components.find(c => c.id === id)?.label || id} · ${q}`;
+  };
+  const edit = (i, patch) => setDraft(draft.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+
+  const field = { background:"#0a1e35", color:T.text, border:`1px solid ${T.cardBorder}`, borderRadius:4, fontSize:9, fontFamily:"inherit", padding:"2px 4px" };
+  const btn = { ...field, background:"transparent", color:T.accent, cursor:"pointer", padding:"2px 8px" };
+
+  return (
+    <div style={{ background:T.card, border:`1px solid ${T.cardBorder}`, borderRadius:10, overflow:"hidden" }}>
+      <div style={{ padding:"8px 14px", borderBottom:`1px solid ${T.cardBorder}`, display:"flex", alignItems:"center", justifyContent:"space-between" }}>
+        <span style={{ fontSize:10, fontWeight:700, color:T.accent, textTransform:"uppercase", letterSpacing:1.5 }}>MQTT Topics</span>
+        <span style={{ fontSize:8, color:T.textMuted, letterSpacing:0.8, textTransform:"uppercase" }}>+ and # allowed</span>
+      </div>
+      <div style={{ padding:10, display:"flex", flexDirection:"column", gap:5 }}>
+        {draft.map((r, i) => (
+          <div key={i} style={{ display:"flex", flexDirection:"column", gap:3, background:"#0a1e35", borderRadius:6, padding:"6px 8px" }}>
+            <div style={{ display:"flex", gap:4 }}>
+              <input value={r.pattern} onChange={e=>edit(i, { pattern: e.target.value.trim() })} placeholder="plant/line/motor/point/value" style={{ ...field, flex:1, minWidth:0 }} />
+              <button onClick={()=>setDraft(draft.filter((_, j) => j !== i))} style={{ background:"transparent", border:"none", color:T.textMuted, cursor:"pointer", fontSize:11, padding:0 }}>✕</button>
+            </div>
+            <select value={r.channel} onChange={e=>edit(i, { channel: e.target.value })} style={field}>
+              {Object.entries(CHANNEL_UNITS).map(([ch, unit]) => <option key={ch} value={ch}>{channelLabel(ch)} ({unit})</option>)}
+            </select>
+          </div>
+        ))}
+        <div style={{ display:"flex", gap:5, marginTop:3 }}>
+          <button onClick={()=>setDraft([...draft, { pattern: "", channel: "rpm" }])} style={btn}>+ Topic</button>
+          <button onClick={()=>setDraft(DEFAULT_MAPPING)} style={btn}>Defaults</button>
+          <button disabled={!dirty || draft.some(r => !r.pattern)} onClick={()=>onChange(draft)} style={{ ...btn, marginLeft:"auto", background:dirty?T.accent:"transparent", color:dirty?"#fff":T.textMuted, cursor:dirty?"pointer":"default" }}>Save</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import { T } from "../theme";
+import { AIR_GAP, orbitPath } from "../sim/orbit";
+
+const SIZE = 84;
+const SCALES = [5, 10, 20, 50, 100, 200, 500, 1000];   // µm, full-scale radius
+
+// ─── ORBIT PLOT ───────────────────────────────────────
+// Shaft orbit at one bearing as the probes would draw it, true size (µm, not
+// amplified), with the bearing centre at the cross and a dot once per turn.
+// The air gap circle shows once the scale reaches it.
+export default function OrbitPlot({ label, orbit }) {
+  const { points, marks } = orbitPath(orbit);
+  const reach = Math.max(0, ...points.map(([x, y]) => Math.hypot(x, y)));
+  const full = SCALES.find(s => s >= reach * 1.1) ?? SCALES[SCALES.length - 1];
+  const c = SIZE / 2, k = (c - 4) / full;
+  const at = ([x, y]) => [c + x * k, c - y * k];
+  const span = (i) => Math.max(...points.map(p => p[i])) - Math.min(...points.map(p => p[i]));
+  const pkpk = points.length ? Math.max(span(0), span(1)) : 0;
+
+  return (
+    <div style={{ background:"rgba(8,18,32,0.85)", border:"1px solid rgba(100,170,210,0.35)", borderRadius:4, padding:"3px 4px 2px" }}>
+      <div style={{ fontSize:8.5, color:"#8ab0c4", fontWeight:600, display:"flex", justifyContent:"space-between", gap:6 }}>
+        <span>{label}</span><span style={{ color:T.text }}>{pkpk.toFixed(0)} µm p-p</span>
+      </div>
+      <svg width={SIZE} height={SIZE} style={{ display:"block" }}>
+        <circle cx={c} cy={c} r={c - 4} fill="none" stroke={T.cardBorder} strokeDasharray="2 2" />
+        {full >= AIR_GAP && <circle cx={c} cy={c} r={AIR_GAP * k} fill="none" stroke={T.danger} strokeOpacity={0.6} />}
+        <line x1={c} y1={2} x2={c} y2={SIZE - 2} stroke={T.cardBorder} />
+        <line x1={2} y1={c} x2={SIZE - 2} y2={c} stroke={T.cardBorder} />
+        {points.length > 1 && <polyline points={points.map(p => at(p).map(v => v.toFixed(1)).join(",")).join(" ")} fill="none" stroke={T.accent} strokeWidth={1} strokeOpacity={0.85} />}
+        {marks.map((m, i) => <circle key={i} cx={at(m)[0]} cy={at(m)[1]} r={1.8} fill={T.warn} />)}
+        <text x={SIZE - 3} y={SIZE - 3} textAnchor="end" fontSize={7.5} fill={T.textMuted}>±{full} µm</text>
+      </svg>
+    </div>
+  );
+}
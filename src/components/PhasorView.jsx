@@ -0,0 +1,72 @@
+import { T, STATUS_COLOR } from "../theme";
+import { PHASE_NAMES, UNBALANCE_LIMITS, cabs, carg } from "../analytics/symmetrical";
+
+const PHASE_COLOR = ["#00b4d8", "#f5a623", "#2ed573"];
+const SEQ = [["positive", "I₁", "#ffffff"], ["negative", "I₂", T.danger], ["zero", "I₀", "#a29bfe"]];
+const deg = (z) => `${(carg(z) * 180 / Math.PI).toFixed(0)}°`;
+
+// one arrow from the centre of a 140 px diagram, scaled so `full` reaches the rim
+function Arrow({ z, full, color, label, dash }) {
+  const r = 56 * Math.min(1, cabs(z) / full), a = carg(z);
+  const x = 70 + r * Math.cos(a), y = 70 - r * Math.sin(a);
+  const hx = Math.cos(a), hy = -Math.sin(a), h = Math.min(7, r / 2);
+  return (
+    <g>
+      <line x1={70} y1={70} x2={x} y2={y} stroke={color} strokeWidth={2} strokeDasharray={dash} />
+      {r > 2 && <polygon points={`${x},${y} ${x - h * hx - h * 0.5 * hy},${y - h * hy + h * 0.5 * hx} ${x - h * hx + h * 0.5 * hy},${y - h * hy - h * 0.5 * hx}`} fill={color} />}
+      <text x={70 + (r + 9) * Math.cos(a)} y={70 - (r + 9) * Math.sin(a) + 3} fill={color} fontSize={9} textAnchor="middle" fontWeight={700}>{label}</text>
+    </g>
+  );
+}
+
+function Dial({ title, children }) {
+  return (
+    <div style={{ textAlign:"center" }}>
+      <svg width={140} height={140} style={{ display:"block" }}>
+        <circle cx={70} cy={70} r={56} fill="none" stroke={T.cardBorder} />
+        <line x1={10} y1={70} x2={130} y2={70} stroke="#0f2a4a" /><line x1={70} y1={10} x2={70} y2={130} stroke="#0f2a4a" />
+        {children}
+      </svg>
+      <div style={{ fontSize:8.5, color:T.textMuted, textTransform:"uppercase", letterSpacing:0.8 }}>{title}</div>
+    </div>
+  );
+}
+
+// ─── PHASOR DIAGRAM ───────────────────────────────────
+// Phase-current phasors (referred to phase A) and their symmetrical
+// components, with the per-phase RMS and both unbalance figures.
+export default function PhasorView({ analysis, fault }) {
+  if (!analysis) return <div style={{ height:140, display:"flex", alignItems:"center", justifyContent:"center", color:T.textMuted, fontSize:11, fontStyle:"italic" }}>No phase currents to analyse</div>;
+  const { rms, phasors, seq, nema, iec } = analysis;
+  const full = Math.max(...rms, 1e-9);
+  const pct = iec ?? nema, c = pct >= UNBALANCE_LIMITS.critical ? T.danger : pct >= UNBALANCE_LIMITS.warning ? T.warn : T.good;
+  const cell = { padding:"2px 6px", fontSize:10, textAlign:"right", fontVariantNumeric:"tabular-nums" };
+
+  return (
+    <div style={{ display:"flex", alignItems:"center", gap:10, flexWrap:"wrap", minHeight:140 }}>
+      {phasors && (
+        <>
+          <Dial title="Phases">{phasors.map((z, i) => <Arrow key={i} z={z} full={full} color={PHASE_COLOR[i]} label={PHASE_NAMES[i]} />)}</Dial>
+          <Dial title="Sequence">{SEQ.map(([k, label, color]) => <Arrow key={k} z={seq[k]} full={full} color={color} label={label} dash={k === "positive" ? undefined : "3 2"} />)}</Dial>
+        </>
+      )}
+      <div style={{ flex:1, minWidth:150 }}>
+        <table style={{ borderCollapse:"collapse", width:"100%", color:T.text }}>
+          <tbody>
+            {rms.map((v, i) => (
+              <tr key={i}><td style={{ ...cell, textAlign:"left", color:PHASE_COLOR[i] }}>Phase {PHASE_NAMES[i]}</td><td style={cell}>{v.toFixed(2)} A</td><td style={{ ...cell, color:T.textMuted }}>{phasors ? deg(phasors[i]) : ""}</td></tr>
+            ))}
+            {phasors && SEQ.map(([k, label, color]) => (
+              <tr key={k}><td style={{ ...cell, textAlign:"left", color }}>{label} {k}</td><td style={cell}>{cabs(seq[k]).toFixed(3)} A</td><td style={{ ...cell, color:T.textMuted }}>{deg(seq[k])}</td></tr>
+            ))}
+            <tr><td style={{ ...cell, textAlign:"left", color:T.textMuted }}>NEMA unbalance</td><td style={cell} colSpan={2}>{nema.toFixed(2)} %</td></tr>
+            {iec !== null && <tr><td style={{ ...cell, textAlign:"left", color:T.textMuted }}>IEC I₂/I₁</td><td style={{ ...cell, color:c, fontWeight:700 }} colSpan={2}>{iec.toFixed(2)} %</td></tr>}
+          </tbody>
+        </table>
+        <div style={{ marginTop:6, fontSize:9, color:fault ? STATUS_COLOR[fault.status] : T.textMuted }}>
+          {fault ? fault.text : `Balanced — fault raised at ${UNBALANCE_LIMITS.warning} % (critical ${UNBALANCE_LIMITS.critical} %)`}
+        </div>
+      </div>
+    </div>
+  );
+}
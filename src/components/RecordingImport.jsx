@@ -0,0 +1,54 @@
+import { useState } from "react";
+import { T } from "../theme";
+import { CHANNEL_UNITS } from "../data/channels";
+import { guessMapping, buildRecording } from "../data/recording";
+
+// ─── RECORDING IMPORT — COLUMN MAPPING ────────────────
+// Shown after a file is picked: choose the time column and which channel each
+// other column feeds. Unmapped columns are ignored.
+export default function RecordingImport({ name, table, onLoad, onCancel }) {
+  const [{ timeColumn, mapping }, setMap] = useState(() => guessMapping(table.columns));
+  const [error, setError] = useState(null);
+  const mapped = Object.values(mapping).filter(Boolean).length;
+
+  const load = () => {
+    try { onLoad(buildRecording(table, { timeColumn, mapping }, name)); }
+    catch (e) { setError(e.message); }
+  };
+
+  const sel = { background:"#0a1e35", color:T.text, border:`1px solid ${T.cardBorder}`, borderRadius:4, fontSize:9, fontFamily:"inherit", padding:"2px 4px" };
+  const btn = { ...sel, background:"transparent", color:T.accent, cursor:"pointer", padding:"3px 10px" };
+
+  return (
+    <div style={{ background:T.card, border:`1px solid ${T.cardBorder}`, borderRadius:10, margin:"0 22px 14px", overflow:"hidden" }}>
+      <div style={{ display:"flex", alignItems:"center", gap:10, padding:"8px 14px", borderBottom:`1px solid ${T.cardBorder}` }}>
+        <span style={{ fontSize:10, fontWeight:700, color:T.accent, textTransform:"uppercase", letterSpacing:1.5 }}>Import Recording</span>
+        <span style={{ fontSize:10, color:T.textDim }}>📼 {name} · {table.rows.length} rows · {table.columns.length} columns</span>
+        <span style={{ marginLeft:"auto", display:"flex", alignItems:"center", gap:6 }}>
+          <span style={{ fontSize:9, color:T.textMuted }}>Time column</span>
+          <select value={timeColumn} onChange={e=>setMap({ timeColumn: e.target.value, mapping: { ...mapping, [e.target.value]: undefined } })} style={sel}>
+            {table.columns.map(c => <option key={c} value={c}>{c}</option>)}
+          </select>
+        </span>
+      </div>
+      <div style={{ display:"grid", gridTemplateColumns:"repeat(auto-fill,minmax(230px,1fr))", gap:6, padding:10 }}>
+        {table.columns.filter(c => c !== timeColumn).map(c => (
+          <div key={c} style={{ display:"flex", alignItems:"center", gap:6, background:"#0a1e35", borderRadius:6, padding:"5px 8px" }}>
+            <span style={{ fontSize:10, color:mapping[c]?T.text:T.textMuted, flex:1, overflow:"hidden", textOverflow:"ellipsis", whiteSpace:"nowrap" }} title={c}>{c}</span>
+            <span style={{ color:T.textMuted, fontSize:9 }}>→</span>
+            <select value={mapping[c] || ""} onChange={e=>setMap({ timeColumn, mapping: { ...mapping, [c]: e.target.value || undefined } })} style={{ ...sel, width:130 }}>
+              <option value="">— ignore —</option>
+              {Object.entries(CHANNEL_UNITS).map(([ch, unit]) => <option key={ch} value={ch}>{ch} ({unit})</option>)}
+            </select>
+          </div>
+        ))}
+      </div>
+      <div style={{ display:"flex", alignItems:"center", gap:8, padding:"0 14px 10px" }}>
+        {error && <span style={{ fontSize:10, color:T.danger }}>⚠ {error}</span>}
+        <span style={{ marginLeft:"auto", fontSize:9, color:T.textMuted }}>{mapped} channel{mapped === 1 ? "" : "s"} mapped</span>
+        <button onClick={onCancel} style={{ ...btn, color:T.textMuted }}>Cancel</button>
+        <button disabled={!mapped} onClick={load} style={{ ...btn, background:mapped?T.accent:"transparent", color:mapped?"#fff":T.textMuted, cursor:mapped?"pointer":"default" }}>Load & replay</button>
+      </div>
+    </div>
+  );
+}
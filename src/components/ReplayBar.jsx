@@ -0,0 +1,29 @@
+import { T } from "../theme";
+import { REPLAY_SPEEDS } from "../data/recording";
+
+const clock = (s) => `${Math.floor(s / 3600)}:${String(Math.floor(s / 60) % 60).padStart(2, "0")}:${String(Math.floor(s % 60)).padStart(2, "0")}`;
+
+// ─── REPLAY TRANSPORT + TIMELINE SCRUBBER ─────────────
+// Everything on the dashboard that shows measured values follows `pos`, so
+// dragging the scrubber moves the charts, cards and 3D tint together.
+export default function ReplayBar({ recording, replay, onChange, onClose }) {
+  const { pos, speed, playing } = replay;
+  const atEnd = pos >= recording.duration;
+  const btn = (on) => ({ padding:"3px 9px", fontSize:10, background:on?`${T.accent}30`:"transparent", color:on?T.accent:T.textMuted, border:`1px solid ${on?T.accent:T.cardBorder}`, borderRadius:4, cursor:"pointer", fontFamily:"inherit" });
+  const wall = recording.start !== null && new Date(recording.start + pos * 1000).toLocaleString();
+
+  return (
+    <div style={{ display:"flex", alignItems:"center", gap:10, background:T.card, border:`1px solid ${T.accent}55`, borderRadius:10, margin:"0 22px 14px", padding:"8px 14px" }}>
+      <span style={{ fontSize:10, fontWeight:700, color:T.accent, textTransform:"uppercase", letterSpacing:1.5, whiteSpace:"nowrap" }}>📼 Replay</span>
+      <span style={{ fontSize:10, color:T.textDim, maxWidth:160, overflow:"hidden", textOverflow:"ellipsis", whiteSpace:"nowrap" }} title={recording.name}>{recording.name}</span>
+      <button onClick={()=>onChange({ pos: 0 })} style={btn(false)} title="Back to start">⏮</button>
+      <button onClick={()=>onChange({ playing: !playing, ...(atEnd ? { pos: 0 } : {}) })} style={btn(playing)}>{playing ? "⏸" : "▶"}</button>
+      {REPLAY_SPEEDS.map(k => <button key={k} onClick={()=>onChange({ speed: k })} style={btn(speed === k)}>{k}×</button>)}
+      <input type="range" min={0} max={recording.duration} step={Math.max(0.1, recording.duration / 2000)} value={pos}
+        onChange={e=>onChange({ pos: +e.target.value })} style={{ flex:1, accentColor:T.accent }} />
+      <span style={{ fontSize:10, color:T.text, fontVariantNumeric:"tabular-nums", whiteSpace:"nowrap" }}>{clock(pos)} / {clock(recording.duration)}</span>
+      {wall && <span style={{ fontSize:9, color:T.textMuted, whiteSpace:"nowrap" }}>{wall}</span>}
+      <button onClick={onClose} style={btn(false)} title="Back to live data">✕ Live</button>
+    </div>
+  );
+}
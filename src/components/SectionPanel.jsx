@@ -0,0 +1,84 @@
+import { useState } from "react";
+import { T } from "../theme";
+import { SECTION_PLANES, DEFAULT_SECTION } from "../data/sectionViews";
+
+// sliders per plane: [field, label, min, max, step, unit]
+const PARAMS = {
+  axial:        [["offset", "Position", -0.2, 0.2, 0.002, "m"]],
+  longitudinal: [["angle", "Angle", -180, 180, 5, "°"], ["offset", "Offset", -0.1, 0.1, 0.002, "m"]],
+  free:         [["azimuth", "Azimuth", -180, 180, 5, "°"], ["elevation", "Elevation", -90, 90, 5, "°"], ["offset", "Offset", -0.2, 0.2, 0.002, "m"]],
+};
+
+const show = (v, unit) => (unit === "m" ? `${Math.round(v * 1000)} mm` : `${v}°`);
+
+// ─── SECTION PANEL ────────────────────────────────────
+// Floats over the 3D view: the cutaway arc, the three clipping planes and the
+// saved section presets. A preset keeps the camera view it was saved with.
+export default function SectionPanel({ section, onChange, presets, onApply, onSave, onDelete, onClose }) {
+  const [name, setName] = useState("");
+  const { cut, planes } = section;
+  const setCut = (c) => onChange({ ...section, cut: c });
+  const setPlane = (k, patch) => onChange({ ...section, planes: { ...planes, [k]: { ...planes[k], ...patch } } });
+  // a built-in preset's name cannot be reused; saving under a user preset's name replaces it
+  const builtin = presets.some(p => p.builtin && p.name === name.trim());
+  const canSave = name.trim() && !builtin;
+
+  const row = { display:"flex", alignItems:"center", gap:6 };
+  const head = { fontSize:8.5, color:T.textMuted, textTransform:"uppercase", letterSpacing:1, margin:"6px 0 3px" };
+  const btn = { background:"transparent", color:T.accent, border:`1px solid ${T.cardBorder}`, borderRadius:4, fontSize:9, fontFamily:"inherit", padding:"1px 6px", cursor:"pointer" };
+  const slider = (label, value, min, max, step, unit, onSet) => (
+    <div style={row}>
+      <span style={{ width:56 }}>{label}</span>
+      <input type="range" min={min} max={max} step={step} value={value} onChange={e=>onSet(+e.target.value)} style={{ flex:1, minWidth:0, accentColor:T.accent }} />
+      <span style={{ width:40, textAlign:"right", color:T.text }}>{show(value, unit)}</span>
+    </div>
+  );
+
+  return (
+    <div style={{ position:"absolute", top:30, left:6, width:220, maxHeight:280, overflowY:"auto", zIndex:3, background:"rgba(8,18,32,0.92)", border:`1px solid ${T.cardBorder}`, borderRadius:8, padding:"6px 10px 8px", fontSize:9, color:T.textDim }}>
+      <div style={{ ...row, justifyContent:"space-between" }}>
+        <span style={{ fontSize:9.5, fontWeight:700, color:T.accent, textTransform:"uppercase", letterSpacing:1.2 }}>Section</span>
+        <button onClick={onClose} style={{ background:"transparent", border:"none", color:T.textMuted, cursor:"pointer", fontSize:11, padding:0 }}>✕</button>
+      </div>
+
+      <div style={{ ...head, display:"flex", justifyContent:"space-between" }}>
+        <span>Cutaway arc</span>
+        <span style={{ textTransform:"none", letterSpacing:0 }}>{cut.end === cut.start ? "closed" : `${cut.start}° → ${cut.end}°`}</span>
+      </div>
+      {slider("From", cut.start, -180, 180, 5, "°", v => setCut({ start: v, end: v + cut.end - cut.start }))}
+      {slider("To", cut.end, cut.start, cut.start + 360, 5, "°", v => setCut({ ...cut, end: v }))}
+      <div style={{ ...row, marginTop:3 }}>
+        <button onClick={()=>setCut({ start: cut.start, end: cut.start })} style={btn}>Close</button>
+        <button onClick={()=>setCut(DEFAULT_SECTION.cut)} style={btn}>Default</button>
+      </div>
+
+      <div style={head}>Clipping planes</div>
+      {Object.entries(SECTION_PLANES).map(([k, p]) => (
+        <div key={k} style={{ marginBottom:3 }}>
+          <label style={{ ...row, cursor:"pointer", color:planes[k].on ? T.text : T.textDim }} title={p.hint}>
+            <input type="checkbox" checked={planes[k].on} onChange={e=>setPlane(k, { on: e.target.checked })} style={{ margin:0, accentColor:T.accent }} />
+            <span style={{ flex:1 }}>{p.label}</span>
+            {planes[k].on && (
+              <button onClick={e=>{ e.preventDefault(); setPlane(k, { flip: !planes[k].flip }); }} title="Keep the other side" style={{ ...btn, background:planes[k].flip?`${T.accent}30`:"transparent" }}>⇄ Flip</button>
+            )}
+          </label>
+          {planes[k].on && PARAMS[k].map(([q, label, min, max, step, unit]) => (
+            <div key={q} style={{ paddingLeft:18 }}>{slider(label, planes[k][q], min, max, step, unit, v => setPlane(k, { [q]: v }))}</div>
+          ))}
+        </div>
+      ))}
+
+      <div style={head}>Presets</div>
+      {presets.map(p => (
+        <div key={`${p.builtin ? "builtin" : "user"}:${p.name}`} style={{ ...row, padding:"1px 0" }}>
+          <button onClick={()=>onApply(p)} style={{ ...btn, flex:1, textAlign:"left", border:"none", padding:0, color:T.text }}>{p.name}</button>
+          {!p.builtin && <button onClick={()=>onDelete(p.name)} style={{ background:"transparent", border:"none", color:T.textMuted, cursor:"pointer", fontSize:10, padding:0 }}>✕</button>}
+        </div>
+      ))}
+      <div style={{ ...row, marginTop:4 }}>
+        <input value={name} onChange={e=>setName(e.target.value)} placeholder="Preset name" style={{ flex:1, minWidth:0, background:"#0a1e35", color:T.text, border:`1px solid ${T.cardBorder}`, borderRadius:4, fontSize:9, fontFamily:"inherit", padding:"2px 4px" }} />
+        <button disabled={!canSave} title={builtin ? "A built-in preset has this name" : undefined} onClick={()=>{ onSave(name.trim()); setName(""); }} style={{ ...btn, color:canSave ? T.accent : T.textMuted, cursor:canSave ? "pointer" : "default" }}>Save view</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,146 @@
+import { useState, useEffect, useRef } from "react";
+import { T } from "../theme";
+import { COLOR_SCALES, colorAt, cssGradient } from "../analytics/spectrogram";
+
+const H = 150, M = { l: 38, r: 6, t: 6, b: 16 };
+const DB_RANGE = 60;
+const WATERFALL_LINES = 40;
+const fmtF = (f) => (f >= 1000 ? `${+(f / 1000).toFixed(1)}k` : `${+f.toFixed(1)}`);
+
+// Plot geometry for a canvas `w` wide; in waterfall mode each older frame
+// steps up and right by (dx, dy) and the newest sits at the front.
+function layout(w, mode, n) {
+  const pw = w - M.l - M.r, ph = H - M.t - M.b;
+  if (mode === "spectrogram") return { pw, ph };
+  const depth = Math.max(1, n - 1), dx = 0.18 * pw / depth, dy = 0.55 * ph / depth;
+  return { pw, ph, dx, dy, fw: pw - dx * (n - 1), fh: ph - dy * (n - 1) };
+}
+
+// ─── WATERFALL / SPECTROGRAM ──────────────────────────
+// Stacked spectra over time, drawn on a canvas: a time × frequency heatmap or
+// a 3D waterfall of the newest frames. Amplitudes are scaled against the
+// largest line in view, in dB (60 dB range) or linearly.
+export default function SpectrogramView({ channels }) {
+  const [chId, setChId] = useState(channels[0].id);
+  const [mode, setMode] = useState("spectrogram");
+  const [scale, setScale] = useState("viridis");
+  const [rangeIdx, setRangeIdx] = useState(1);
+  const [db, setDb] = useState(true);
+  const [hover, setHover] = useState(null);   // { i: frame, k: bin }
+  const canvas = useRef(null);
+
+  const ch = channels.find(c => c.id === chId) || channels[0];
+  const [fmin, fmax] = ch.ranges[Math.min(rangeIdx, ch.ranges.length - 1)];
+  const all = ch.frames;
+  const frames = mode === "waterfall" && all.length > WATERFALL_LINES
+    ? Array.from({ length: WATERFALL_LINES }, (_, j) => all[Math.round(j * (all.length - 1) / (WATERFALL_LINES - 1))])
+    : all;
+  const df = frames[0]?.df || 1;
+  const k0 = Math.max(1, Math.ceil(fmin / df)), k1 = Math.min((frames[0]?.amp.length || 2) - 1, Math.floor(fmax / df));
+  let peak = 1e-12;
+  frames.forEach(f => { for (let k = k0; k <= k1; k++) if (f.amp[k] > peak) peak = f.amp[k]; });
+  const level = (a) => (db ? (20 * Math.log10(Math.max(a, 1e-12) / peak) + DB_RANGE) / DB_RANGE : a / peak);
+
+  useEffect(() => {
+    const draw = () => {
+      const cv = canvas.current;
+      if (!cv) return;
+      const w = cv.parentElement.clientWidth;
+      cv.width = w; cv.height = H;
+      const ctx = cv.getContext("2d"), stops = COLOR_SCALES[scale];
+      ctx.fillStyle = "#050c16"; ctx.fillRect(0, 0, w, H);
+      ctx.font = "9px 'Courier New',monospace"; ctx.fillStyle = T.textDim;
+      if (!frames.length) { ctx.fillText("Waiting for frames…", M.l + 8, H / 2); return; }
+      const n = frames.length, nb = k1 - k0 + 1, g = layout(w, mode, n);
+
+      if (mode === "spectrogram") {
+        const img = ctx.createImageData(g.pw, g.ph);
+        for (let x = 0; x < g.pw; x++) {
+          const f = frames[Math.min(n - 1, Math.floor(x * n / g.pw))];
+          for (let y = 0; y < g.ph; y++) {
+            // peak-hold over the bins that fall on this pixel row
+            const a0 = k0 + Math.floor((g.ph - 1 - y) * nb / g.ph), a1 = Math.max(a0 + 1, k0 + Math.floor((g.ph - y) * nb / g.ph));
+            let a = 0;
+            for (let k = a0; k < a1; k++) if (f.amp[k] > a) a = f.amp[k];
+            const [r, gg, b] = colorAt(stops, level(a)), o = (y * g.pw + x) * 4;
+            img.data[o] = r; img.data[o + 1] = gg; img.data[o + 2] = b; img.data[o + 3] = 255;
+          }
+        }
+        ctx.putImageData(img, M.l, M.t);
+        ctx.textAlign = "right";
+        for (let j = 0; j <= 4; j++) ctx.fillText(fmtF(fmin + (fmax - fmin) * j / 4), M.l - 4, M.t + g.ph - g.ph * j / 4 + 3);
+        ctx.textAlign = "center";
+        [0, Math.floor(n / 2), n - 1].forEach(i => ctx.fillText(ch.fmtT(frames[i].t), M.l + (i + 0.5) * g.pw / n, H - 4));
+      } else {
+        for (let i = 0; i < n; i++) {
+          const ox = M.l + (n - 1 - i) * g.dx, oy = M.t + g.ph - (n - 1 - i) * g.dy;
+          const pts = [];
+          for (let k = k0; k <= k1; k++) pts.push([ox + (k - k0) / Math.max(1, nb - 1) * g.fw, oy - Math.min(1, Math.max(0, level(frames[i].amp[k]))) * g.fh]);
+          // fill under each line so nearer frames hide the ones behind
+          ctx.beginPath(); ctx.moveTo(ox, oy); pts.forEach(([x, y]) => ctx.lineTo(x, y)); ctx.lineTo(ox + g.fw, oy); ctx.closePath();
+          ctx.fillStyle = "#050c16"; ctx.fill();
+          ctx.beginPath(); pts.forEach(([x, y], j) => (j ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+          ctx.strokeStyle = `rgb(${colorAt(stops, 0.25 + 0.75 * i / Math.max(1, n - 1)).join(",")})`;
+          ctx.lineWidth = i === hover?.i ? 2 : 1; ctx.stroke();
+        }
+        ctx.fillStyle = T.textDim; ctx.textAlign = "center";
+        for (let j = 0; j <= 4; j++) ctx.fillText(fmtF(fmin + (fmax - fmin) * j / 4), M.l + g.fw * j / 4, H - 4);
+        ctx.textAlign = "left";
+        ctx.fillText(ch.fmtT(frames[0].t), M.l + (n - 1) * g.dx + g.fw - 30, M.t + 8);
+      }
+      if (hover) {
+        ctx.strokeStyle = "#ffffff88"; ctx.lineWidth = 1; ctx.setLineDash([3, 3]);
+        const x = mode === "spectrogram" ? M.l + (hover.i + 0.5) * g.pw / n : M.l + (n - 1 - hover.i) * g.dx + (hover.k - k0) / Math.max(1, nb - 1) * g.fw;
+        ctx.beginPath(); ctx.moveTo(x, M.t); ctx.lineTo(x, M.t + g.ph); ctx.stroke(); ctx.setLineDash([]);
+      }
+    };
+    draw();
+    window.addEventListener("resize", draw);
+    return () => window.removeEventListener("resize", draw);
+  });
+
+  const onMove = (e) => {
+    const n = frames.length;
+    if (!n) return;
+    const r = e.currentTarget.getBoundingClientRect(), x = e.clientX - r.left - M.l, y = e.clientY - r.top - M.t;
+    const g = layout(r.width, mode, n), nb = k1 - k0 + 1, clamp = (v, hi) => Math.min(hi, Math.max(0, v));
+    if (mode === "spectrogram") {
+      setHover({ i: clamp(Math.floor(x * n / g.pw), n - 1), k: k0 + clamp(Math.floor((g.ph - y) * nb / g.ph), nb - 1) });
+    } else {
+      const i = clamp(n - 1 - Math.round((g.ph - y) / g.dy), n - 1);
+      setHover({ i, k: k0 + clamp(Math.round((x - (n - 1 - i) * g.dx) / g.fw * (nb - 1)), nb - 1) });
+    }
+  };
+
+  const btn = (on) => ({ padding:"2px 7px", fontSize:9, background:on?`${T.accent}30`:"transparent", color:on?T.accent:T.textMuted, border:`1px solid ${on?T.accent:T.cardBorder}`, borderRadius:4, cursor:"pointer", fontFamily:"inherit" });
+  const sel = { background:"#0a1e35", color:T.text, border:`1px solid ${T.cardBorder}`, borderRadius:4, fontSize:9, fontFamily:"inherit", padding:"2px 4px" };
+  const hv = hover && frames[hover.i] && { t: frames[hover.i].t, f: hover.k * df, a: frames[hover.i].amp[hover.k] };
+
+  return (
+    <>
+      <div style={{ display:"flex", alignItems:"center", gap:4, padding:"0 4px 8px", flexWrap:"wrap" }}>
+        <select value={ch.id} onChange={e=>{ setChId(e.target.value); setHover(null); }} style={sel}>
+          {channels.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+        </select>
+        <select value={Math.min(rangeIdx, ch.ranges.length - 1)} onChange={e=>setRangeIdx(+e.target.value)} style={sel} title="Frequency range">
+          {ch.ranges.map(([a, b], i) => <option key={i} value={i}>{fmtF(a)}–{fmtF(b)} Hz</option>)}
+        </select>
+        {["spectrogram", "waterfall"].map(m => <button key={m} onClick={()=>{ setMode(m); setHover(null); }} style={btn(mode===m)}>{m === "spectrogram" ? "Spectrogram" : "Waterfall"}</button>)}
+        <button onClick={()=>setDb(!db)} style={btn(db)}>{db ? "dB" : "Lin"}</button>
+        <select value={scale} onChange={e=>setScale(e.target.value)} style={{ ...sel, marginLeft:"auto" }} title="Colour scale">
+          {Object.keys(COLOR_SCALES).map(k => <option key={k} value={k}>{k}</option>)}
+        </select>
+        <span style={{ width:60, height:8, borderRadius:2, background:cssGradient(COLOR_SCALES[scale]) }} title={db ? `−${DB_RANGE} … 0 dB re peak` : "0 … peak"} />
+      </div>
+      <div style={{ position:"relative" }}>
+        <canvas ref={canvas} onMouseMove={onMove} onMouseLeave={()=>setHover(null)} style={{ display:"block", width:"100%", height:H, cursor:"crosshair" }} />
+        {hv && (
+          <div style={{ position:"absolute", top:4, right:8, background:"#0d1f35ee", border:`1px solid ${T.cardBorder}`, borderRadius:5, padding:"3px 8px", fontSize:9, color:T.text, pointerEvents:"none" }}>
+            {ch.fmtT(hv.t)} · {hv.f.toFixed(1)} Hz · <span style={{ color:T.accent, fontWeight:700 }}>{hv.a.toPrecision(3)} {ch.unit}</span> <span style={{ color:T.textMuted }}>({(20 * Math.log10(Math.max(hv.a, 1e-12) / peak)).toFixed(1)} dB)</span>
+          </div>
+        )}
+      </div>
+      <div style={{ padding:"4px 6px 0", fontSize:8.5, color:T.textMuted }}>{ch.note || `${all.length} frames · Δf ${df} Hz · ${ch.unit} RMS`}</div>
+    </>
+  );
+}
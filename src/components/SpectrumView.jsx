@@ -0,0 +1,91 @@
+import { useState, useMemo } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ReferenceLine } from "recharts";
+import { T } from "../theme";
+import { BEARINGS, defectFrequencies } from "../sim/bearings";
+import { vibrationModel } from "../sim/faults";
+import { synthVibration, VIB_FS } from "../sim/waveform";
+import { SPECTRUM_WINDOWS, amplitudeSpectrum, spectrumRows, samplesFor, peakNear } from "../analytics/spectrum";
+
+const LOCATIONS = [["bearing_drive", "DE"], ["bearing_fan", "NDE"]];
+const RESOLUTIONS = [2048, 4096, 8192, 16384];   // FFT length → Δf = fs / N
+const AVERAGES = [1, 4, 8];
+const RANGES = [200, 500, 1000, 4000];           // Hz
+
+const SpecTooltip = ({ active, payload, label }) => {
+  if (!active || !payload?.length) return null;
+  return (
+    <div style={{ background:"#0d1f35", border:`1px solid ${T.cardBorder}`, borderRadius:6, padding:"6px 10px" }}>
+      <div style={{ fontSize:9, color:T.textMuted }}>f = {label} Hz</div>
+      <div style={{ fontSize:11, color:T.accent, fontWeight:600 }}>{payload[0].value.toFixed(3)} <span style={{ color:T.text }}>mm/s</span></div>
+    </div>
+  );
+};
+
+// ─── VIBRATION SPECTRUM ───────────────────────────────
+// FFT of the velocity waveform at one bearing, with cursors at running speed
+// and at that bearing's kinematic defect frequencies. The waveform is
+// synthesised from the twin's operating point and the injected faults, so a
+// new spectrum is taken every time the stream ticks.
+export default function SpectrumView({ op, faults, t }) {
+  const [loc, setLoc] = useState("bearing_drive");
+  const [win, setWin] = useState("hann");
+  const [nfft, setNfft] = useState(8192);
+  const [averages, setAverages] = useState(4);
+  const [fmax, setFmax] = useState(500);
+  const [log, setLog] = useState(false);
+
+  const spec = useMemo(() => op && amplitudeSpectrum(
+    synthVibration(vibrationModel(op, faults, loc), { fs: VIB_FS, n: samplesFor(nfft, averages), t0: t }),
+    VIB_FS, { window: win, nfft, averages },
+  ), [op, faults, loc, t, win, nfft, averages]);
+
+  const btn = (on) => ({ padding:"2px 7px", fontSize:9, background:on?`${T.accent}30`:"transparent", color:on?T.accent:T.textMuted, border:`1px solid ${on?T.accent:T.cardBorder}`, borderRadius:4, cursor:"pointer", fontFamily:"inherit" });
+  const sel = { background:"#0a1e35", color:T.text, border:`1px solid ${T.cardBorder}`, borderRadius:4, fontSize:9, fontFamily:"inherit", padding:"2px 4px" };
+
+  if (!op) return <div style={{ height:140, display:"flex", alignItems:"center", justifyContent:"center", color:T.textMuted, fontSize:11, fontStyle:"italic" }}>No vibration waveform in a recording — return to live data for the spectrum</div>;
+
+  const fr = op.rpm / 60, df = defectFrequencies(BEARINGS[loc], fr);
+  const cursors = [
+    ["1×", fr, T.text], ["2×", 2 * fr, T.textDim],
+    ["FTF", df.ftf, "#a29bfe"], ["BSF", df.bsf, "#2ed573"], ["BPFO", df.bpfo, T.warn], ["BPFI", df.bpfi, T.danger],
+  ];
+  const rows = spectrumRows(spec, fmax);
+
+  return (
+    <>
+      <div style={{ display:"flex", alignItems:"center", gap:4, padding:"0 4px 8px", flexWrap:"wrap" }}>
+        {LOCATIONS.map(([id, label]) => <button key={id} onClick={()=>setLoc(id)} style={btn(loc===id)} title={BEARINGS[id].designation}>{label}</button>)}
+        <select value={win} onChange={e=>setWin(e.target.value)} style={{ ...sel, marginLeft:6 }}>
+          {Object.entries(SPECTRUM_WINDOWS).map(([k, w]) => <option key={k} value={k}>{w.label}</option>)}
+        </select>
+        <select value={nfft} onChange={e=>setNfft(+e.target.value)} style={sel} title="Frequency resolution">
+          {RESOLUTIONS.map(n => <option key={n} value={n}>Δf {VIB_FS / n} Hz</option>)}
+        </select>
+        <select value={averages} onChange={e=>setAverages(+e.target.value)} style={sel} title="Averages (50 % overlap)">
+          {AVERAGES.map(a => <option key={a} value={a}>{a} avg</option>)}
+        </select>
+        <select value={fmax} onChange={e=>setFmax(+e.target.value)} style={sel} title="Frequency span">
+          {RANGES.map(f => <option key={f} value={f}>0–{f >= 1000 ? `${f / 1000} k` : f} Hz</option>)}
+        </select>
+        <button onClick={()=>setLog(!log)} style={{ ...btn(log), marginLeft:"auto" }}>{log ? "Log" : "Lin"}</button>
+      </div>
+      <ResponsiveContainer width="100%" height={140}><LineChart data={rows}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#0f2a4a" />
+        <XAxis dataKey="f" type="number" domain={[0, fmax]} tick={{fontSize:9,fill:T.textMuted}} axisLine={{stroke:T.cardBorder}} tickLine={false} unit=" Hz" />
+        <YAxis tick={{fontSize:9,fill:T.textMuted}} axisLine={{stroke:T.cardBorder}} tickLine={false} scale={log ? "log" : "auto"} domain={log ? [0.001, "auto"] : [0, "auto"]} allowDataOverflow tickFormatter={v => +v.toPrecision(2)} />
+        <Tooltip content={<SpecTooltip />} />
+        {cursors.filter(([, f]) => f < fmax).map(([name, f, color], i) => (
+          <ReferenceLine key={name} x={f} stroke={color} strokeDasharray="3 3" strokeOpacity={0.8}
+            label={{ value: name, position: "insideTopLeft", fill: color, fontSize: 8, dy: (i % 3) * 9 }} />
+        ))}
+        <Line type="linear" dataKey="amp" stroke={T.accent} strokeWidth={1.2} dot={false} isAnimationActive={false} name="Velocity" />
+      </LineChart></ResponsiveContainer>
+      <div style={{ display:"flex", flexWrap:"wrap", gap:"2px 10px", padding:"4px 6px 0", fontSize:8.5, color:T.textMuted }}>
+        <span>{BEARINGS[loc].designation} · mm/s RMS · {spec.blocks} avg</span>
+        {cursors.map(([name, f, color]) => (
+          <span key={name}><span style={{ color }}>{name}</span> {f.toFixed(1)} Hz · {peakNear(spec, f).amp.toFixed(2)}</span>
+        ))}
+      </div>
+    </>
+  );
+}
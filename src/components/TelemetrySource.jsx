@@ -0,0 +1,54 @@
+import { useState } from "react";
+import { T } from "../theme";
+import { DEFAULT_URL } from "../data/telemetry";
+import { MQTT_DEFAULT_URL } from "../data/mqttMapping";
+
+const KINDS = { ws: ["WebSocket", DEFAULT_URL], mqtt: ["MQTT", MQTT_DEFAULT_URL] };
+
+const STATE_VIEW = {
+  connecting:   ["CONNECTING", T.warn],
+  open:         ["LIVE", T.good],
+  reconnecting: ["RECONNECTING", T.warn],
+  closed:       ["OFFLINE", T.textMuted],
+};
+
+// ─── TELEMETRY SOURCE / CONNECTION STATE ──────────────
+// Header control: simulator only, or a WebSocket / MQTT feed overlaid on the
+// twin. The dot and label show the link state; hover for counters and the last error.
+export default function TelemetrySource({ source, status, paused, onConnect, onDisconnect }) {
+  const [kind, setKind] = useState("ws");
+  const [draft, setDraft] = useState(DEFAULT_URL);
+  const [editing, setEditing] = useState(false);
+  const btn = { background:"transparent", color:T.accent, border:`1px solid ${T.cardBorder}`, borderRadius:4, fontSize:9, fontFamily:"inherit", padding:"1px 6px", cursor:"pointer" };
+
+  const url = source?.url;
+  const connect = () => { setEditing(false); onConnect({ kind, url: draft }); };
+  const pickKind = (k) => { if (draft === KINDS[kind][1]) setDraft(KINDS[k][1]); setKind(k); };
+  const [label, color] = !url ? ["SIMULATOR", T.accent] : STATE_VIEW[status?.state || "connecting"];
+  const tip = url && status
+    ? `${KINDS[source.kind][0]} ${url}\n${status.received} readings · ${status.channels} channels · ${status.rejected} rejected${status.lastError ? `\nlast error: ${status.lastError}` : ""}`
+    : "Simulated sensor data";
+
+  return (
+    <span style={{ display:"inline-flex", alignItems:"center", gap:6 }}>
+      <span title={tip} style={{ display:"inline-flex", alignItems:"center", gap:5 }}>
+        📡 <span style={{ width:7, height:7, borderRadius:"50%", background:color, boxShadow:`0 0 6px ${color}`, animation:status?.state==="open"||!url?"none":"pulse 1.2s infinite" }} />
+        <span style={{ color }}>{label}</span>
+        {url && status?.state === "reconnecting" && <span>#{status.attempt}</span>}
+        {url && status?.state === "open" && <span>{status.channels} ch</span>}
+        {paused && <span style={{ color:T.warn }}>· PAUSED</span>}
+      </span>
+      {url
+        ? <button onClick={onDisconnect} style={btn}>Disconnect</button>
+        : editing
+          ? <>
+              <select value={kind} onChange={e=>pickKind(e.target.value)} style={{ ...btn, background:"#0a1e35", color:T.text }}>
+                {Object.entries(KINDS).map(([k, [name]]) => <option key={k} value={k}>{name}</option>)}
+              </select>
+              <input value={draft} onChange={e=>setDraft(e.target.value)} onKeyDown={e=>e.key==="Enter"&&connect()} style={{ ...btn, color:T.text, width:150, cursor:"text" }} />
+              <button onClick={connect} style={btn}>Connect</button>
+            </>
+          : <button onClick={()=>setEditing(true)} style={btn}>Telemetry…</button>}
+    </span>
+  );
+}
@@ -0,0 +1,161 @@
+// ─── ALARM MANAGEMENT · ISA-18.2 ──────────────────────
+// Turns the conditions the dashboard detects into alarms with a life cycle.
+// An alarm is raised unacknowledged; the operator acknowledges it, and once
+// its condition has cleared and it is acknowledged it returns to normal and
+// leaves the list. Shelving hides an alarm for a while. Every transition,
+// acknowledgement and comment is journalled with its stream time, and alarms
+// that returned to normal stay in the history. A condition has to persist for
+// ON_DELAY before it raises an alarm and stay away for OFF_DELAY before the
+// alarm clears, so one sitting at its threshold does not chatter.
+
+export const ALARM_STATES = {
+  unack:     { label: "Active · unacknowledged",  short: "UNACK" },
+  ack:       { label: "Active · acknowledged",    short: "ACK" },
+  rtn_unack: { label: "Cleared · unacknowledged", short: "RTN" },
+  shelved:   { label: "Shelved",                  short: "SHELVED" },
+  normal:    { label: "Normal",                   short: "NORMAL" },
+};
+
+// rank 0 is the most urgent
+export const ALARM_PRIORITIES = {
+  urgent: { label: "Urgent", rank: 0 },
+  high:   { label: "High",   rank: 1 },
+  medium: { label: "Medium", rank: 2 },
+  low:    { label: "Low",    rank: 3 },
+};
+
+export const SHELVE_TIMES = [["15 min", 900], ["1 h", 3600], ["8 h", 28800]];
+const MAX_ALARMS = 500;   // normal alarms beyond this are dropped, oldest first
+const MAX_EVENTS = 200;   // journal entries per alarm; the oldest after the raise are dropped
+const ON_DELAY = 3;       // s of stream time
+const OFF_DELAY = 10;     // s of stream time
+
+const higher = (a, b) => (ALARM_PRIORITIES[a].rank <= ALARM_PRIORITIES[b].rank ? a : b);
+
+// Alarm list fed with the set of active conditions on every tick:
+// update(t, [{ key, text, source, comp, priority }]). A condition is the same
+// alarm for as long as its key stays present; the text may change meanwhile.
+// Exposes subscribe / getSnapshot for useSyncExternalStore.
+export function createAlarmManager() {
+  let alarms = [], seq = 0, now = 0, snap = [];
+  const listeners = new Set();
+  const pending = new Map();   // key → since when a condition without an alarm is present
+  const gone = new Map();      // key → since when an active alarm's condition is missing
+
+  const publish = () => { snap = alarms.map(a => ({ ...a, events: [...a.events] })); listeners.forEach(l => l()); };
+  const log = (a, t, action, note) => {
+    a.events.push({ t, action, state: a.state, ...(note ? { note } : {}) });
+    if (a.events.length > MAX_EVENTS) a.events.splice(1, 1);
+  };
+  const move = (a, t, state, action) => { a.state = state; if (state === "normal") a.closed = t; log(a, t, action); };
+  const find = (id) => alarms.find(a => a.id === id);
+  // the alarm a condition belongs to: the one under its key not yet back to normal
+  const current = (key) => alarms.find(a => a.key === key && a.state !== "normal");
+
+  // only alarms back to normal are dropped: the list outgrows the cap rather
+  // than lose one that still needs attention
+  const prune = () => {
+    while (alarms.length > MAX_ALARMS) {
+      const i = alarms.findIndex(a => a.state === "normal");
+      if (i < 0) return;
+      alarms.splice(i, 1);
+    }
+  };
+
+  return {
+    update(t, conditions) {
+      now = t;
+      let changed = false;
+      const keys = new Set(conditions.map(c => c.key));
+      pending.forEach((_, k) => { if (!keys.has(k)) pending.delete(k); });
+      conditions.forEach(c => {
+        gone.delete(c.key);
+        const a = current(c.key);
+        if (!a) {
+          if (!pending.has(c.key)) pending.set(c.key, t);
+          if (t - pending.get(c.key) < ON_DELAY) return;
+          pending.delete(c.key);
+          const n = { id: ++seq, key: c.key, text: c.text, source: c.source, comp: c.comp, priority: c.priority,
+            state: "unack", active: true, raised: t, closed: null, shelvedUntil: null, events: [] };
+          log(n, t, "raised");
+          alarms.push(n);
+          changed = true;
+          return;
+        }
+        if (a.text !== c.text || a.priority !== higher(a.priority, c.priority)) {
+          a.text = c.text; a.priority = higher(a.priority, c.priority); changed = true;
+        }
+        if (!a.active) {
+          a.active = true; changed = true;
+          if (a.state === "rtn_unack") move(a, t, "unack", "re-alarmed");
+          else log(a, t, "re-alarmed");
+        }
+      });
+      alarms.forEach(a => {
+        if (a.state === "normal") return;
+        if (a.active && !keys.has(a.key) && !gone.has(a.key)) gone.set(a.key, t);
+        if (a.active && t - (gone.get(a.key) ?? t) >= OFF_DELAY) {
+          gone.delete(a.key);
+          a.active = false; changed = true;
+          if (a.state === "unack") move(a, t, "rtn_unack", "cleared");
+          else if (a.state === "ack") move(a, t, "normal", "cleared");
+          else log(a, t, "cleared");
+        }
+        if (a.state === "shelved" && t >= a.shelvedUntil) {
+          a.shelvedUntil = null; changed = true;
+          move(a, t, a.active ? "unack" : "normal", "shelve expired");
+        }
+      });
+      prune();
+      if (changed) publish();
+    },
+    acknowledge(id) {
+      const a = find(id);
+      if (!a || (a.state !== "unack" && a.state !== "rtn_unack")) return;
+      move(a, now, a.state === "unack" ? "ack" : "normal", "acknowledged");
+      publish();
+    },
+    acknowledgeAll() {
+      alarms.filter(a => a.state === "unack" || a.state === "rtn_unack")
+        .forEach(a => move(a, now, a.state === "unack" ? "ack" : "normal", "acknowledged"));
+      publish();
+    },
+    // hides the alarm for `duration` s; it comes back unacknowledged if still active
+    shelve(id, duration) {
+      const a = find(id);
+      if (!a || a.state === "normal" || a.state === "shelved") return;
+      a.shelvedUntil = now + duration;
+      move(a, now, "shelved", "shelved");
+      publish();
+    },
+    unshelve(id) {
+      const a = find(id);
+      if (!a || a.state !== "shelved") return;
+      a.shelvedUntil = null;
+      move(a, now, a.active ? "unack" : "normal", "unshelved");
+      publish();
+    },
+    comment(id, note) {
+      const a = find(id);
+      if (!a || !note.trim()) return;
+      log(a, now, "comment", note.trim());
+      publish();
+    },
+    subscribe(l) { listeners.add(l); return () => listeners.delete(l); },
+    getSnapshot: () => snap,
+  };
+}
+
+// alarms still needing attention, most urgent first, unacknowledged before acknowledged
+export const activeAlarms = (alarms) => alarms
+  .filter(a => a.state === "unack" || a.state === "ack" || a.state === "rtn_unack")
+  .sort((a, b) => ALARM_PRIORITIES[a.priority].rank - ALARM_PRIORITIES[b.priority].rank
+    || (a.state === "ack") - (b.state === "ack") || b.raised - a.raised);
+
+// Alarm history filtered by free text (text, source, comments), priority and state; newest first.
+export function searchAlarms(alarms, { query = "", priority = "", state = "" } = {}) {
+  const q = query.trim().toLowerCase();
+  return alarms.filter(a => (!priority || a.priority === priority) && (!state || a.state === state)
+    && (!q || [a.text, a.source, ...a.events.map(e => e.note || "")].some(s => s.toLowerCase().includes(q))))
+    .sort((a, b) => b.raised - a.raised);
+}
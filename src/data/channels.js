@@ -0,0 +1,15 @@
+// ─── TELEMETRY CHANNELS ───────────────────────────────
+// The asset this dashboard monitors and the unit of every channel the stream
+// carries (names as produced by channelsOf in stream.js).
+
+import { COMPONENT_IDS } from "../sim/sensors";
+import { DRIVE_CHANNELS } from "./drive";
+
+export const ASSET_ID = "DRE100L4-01";
+
+// unit expected on every channel
+export const CHANNEL_UNITS = {
+  rpm: "rpm", phaseA: "A", phaseB: "A", phaseC: "A",
+  ...Object.fromEntries(COMPONENT_IDS.flatMap(id => [[`${id}.temp`, "°C"], [`${id}.vibration`, "mm/s"]])),
+  ...Object.fromEntries(Object.entries(DRIVE_CHANNELS).map(([k, [, unit]]) => [`drive.${k}`, unit])),
+};
@@ -0,0 +1,42 @@
+// ─── SEW INVERTER (MOVITRAC B / MOVIDRIVE B) ──────────
+// Values relayed by the Modbus gateway arrive as drive.* channels. Fault codes
+// are the inverter's own F-xx numbers; the table holds the ones a motor
+// condition monitor cares about, with the component they point to (null =
+// the inverter itself).
+
+export const DRIVE_LABEL = "Inverter";
+
+export const DRIVE_CHANNELS = {
+  current:     ["Output current", "A"],
+  dcLink:      ["DC-link voltage", "V"],
+  freq:        ["Output frequency", "Hz"],
+  utilisation: ["Unit utilisation", "%"],
+  fault:       ["Fault code", "code"],
+};
+
+export const DRIVE_FAULTS = {
+  1:  ["Overcurrent", "stator_winding"],
+  3:  ["Ground fault", "stator_winding"],
+  4:  ["Brake chopper", null],
+  6:  ["Mains phase failure", null],
+  7:  ["DC link overvoltage", null],
+  8:  ["Speed monitoring", "shaft"],
+  11: ["Overtemperature", null],
+  26: ["External terminal", null],
+  31: ["TF/TH sensor tripped", "stator_winding"],
+  43: ["RS485 timeout", null],
+  44: ["Unit utilisation (Ixt)", null],
+  47: ["System bus timeout", null],
+  81: ["Start condition", null],
+  82: ["Output open", "junction_box"],
+  84: ["Motor protection", "stator_winding"],
+  94: ["EEPROM checksum", null],
+  100: ["Vibration warning", "bearing_drive"],
+  101: ["Vibration fault", "bearing_drive"],
+};
+
+// Active Faults entry for a nonzero inverter fault code
+export function driveFault(code) {
+  const [text, comp] = DRIVE_FAULTS[code] || ["Unknown fault", null];
+  return { code, text: `F-${String(code).padStart(2, "0")} ${text}`, comp };
+}
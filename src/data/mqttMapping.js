@@ -0,0 +1,58 @@
+// ─── MQTT TOPIC MAPPING ───────────────────────────────
+// Condition-monitoring systems publish one value per topic. Each rule maps a
+// topic pattern (MQTT wildcards `+` and `#` allowed) to a stream channel.
+// Payloads may be a bare number or JSON { value, ts?, unit? }.
+
+import { ASSET_ID, CHANNEL_UNITS } from "./channels";
+
+export const MQTT_DEFAULT_URL = "ws://localhost:9001";
+const STORAGE_KEY = "dre100.mqttMapping";
+
+export const DEFAULT_MAPPING = [
+  { pattern: "plant/line3/m12/bearing_de/vib_rms",  channel: "bearing_drive.vibration" },
+  { pattern: "plant/line3/m12/bearing_de/temp",     channel: "bearing_drive.temp" },
+  { pattern: "plant/line3/m12/bearing_nde/vib_rms", channel: "bearing_fan.vibration" },
+  { pattern: "plant/line3/m12/bearing_nde/temp",    channel: "bearing_fan.temp" },
+  { pattern: "plant/line3/m12/winding/temp",        channel: "stator_winding.temp" },
+  { pattern: "plant/line3/m12/frame/vib_rms",       channel: "housing.vibration" },
+  { pattern: "plant/line3/m12/frame/temp",          channel: "housing.temp" },
+  { pattern: "plant/line3/m12/terminal_box/temp",   channel: "junction_box.temp" },
+  { pattern: "plant/line3/m12/drive/speed",         channel: "rpm" },
+  { pattern: "plant/line3/m12/drive/current_l1",    channel: "phaseA" },
+  { pattern: "plant/line3/m12/drive/current_l2",    channel: "phaseB" },
+  { pattern: "plant/line3/m12/drive/current_l3",    channel: "phaseC" },
+];
+
+export function topicMatches(pattern, topic) {
+  const p = pattern.split("/"), t = topic.split("/");
+  for (let i = 0; i < p.length; i++) {
+    if (p[i] === "#") return true;
+    if (i >= t.length || (p[i] !== "+" && p[i] !== t[i])) return false;
+  }
+  return p.length === t.length;
+}
+
+export function loadMapping() {
+  try {
+    const m = JSON.parse(globalThis.localStorage?.getItem(STORAGE_KEY));
+    if (Array.isArray(m) && m.every(r => typeof r.pattern === "string" && r.channel in CHANNEL_UNITS)) return m;
+  } catch { /* fall through to the defaults */ }
+  return DEFAULT_MAPPING;
+}
+
+export function saveMapping(m) {
+  globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify(m));
+}
+
+// Telemetry messages for one MQTT publish; empty if no rule matches the topic.
+export function decodeMqtt(topic, text, mapping, asset = ASSET_ID) {
+  const rules = mapping.filter(r => topicMatches(r.pattern, topic));
+  if (!rules.length) return [];
+  let body;
+  try { body = JSON.parse(text); } catch { body = NaN; }
+  if (typeof body === "number") body = { value: body };
+  if (!body || typeof body !== "object") body = { value: NaN };
+  return rules.map(r => ({
+    asset, channel: r.channel, ts: body.ts ?? Date.now(), value: body.value, unit: body.unit ?? CHANNEL_UNITS[r.channel],
+  }));
+}
@@ -0,0 +1,154 @@
+// ─── RECORDED DATA IMPORT / REPLAY ────────────────────
+// Parses CSV or JSON recordings into a table, maps columns to stream channels
+// and serves windows and point values for the replay player. Accepted input:
+//   CSV  — header row, one timestamp column, any delimiter of , ; or tab
+//   JSON — [{ time, col: value, ... }] rows, or telemetry messages
+//          [{ channel, ts, value }] (pivoted on ts)
+
+import { CHANNEL_UNITS } from "./channels";
+import { COMPONENT_IDS } from "../sim/sensors";
+
+export const REPLAY_SPEEDS = [1, 5, 20];
+
+const TIME_NAMES = ["t", "time", "timestamp", "ts", "datetime", "date", "seconds", "time_s"];
+
+// common column names → channel, on top of the channel names themselves
+const ALIASES = {
+  speed: "rpm", n: "rpm", rpm: "rpm",
+  ia: "phaseA", il1: "phaseA", i1: "phaseA", current_a: "phaseA", current_l1: "phaseA",
+  ib: "phaseB", il2: "phaseB", i2: "phaseB", current_b: "phaseB", current_l2: "phaseB",
+  ic: "phaseC", il3: "phaseC", i3: "phaseC", current_c: "phaseC", current_l3: "phaseC",
+  vib_de: "bearing_drive.vibration", de_vib: "bearing_drive.vibration", vibration: "bearing_drive.vibration",
+  vib_nde: "bearing_fan.vibration", nde_vib: "bearing_fan.vibration",
+  temp_de: "bearing_drive.temp", de_temp: "bearing_drive.temp",
+  temp_nde: "bearing_fan.temp", nde_temp: "bearing_fan.temp",
+  temp_winding: "stator_winding.temp", winding_temp: "stator_winding.temp", temperature: "stator_winding.temp",
+};
+
+const norm = (s) => String(s).trim().toLowerCase().replace(/[^a-z0-9.]+/g, "_").replace(/^_|_$/g, "");
+
+// timestamp cell → epoch ms, or seconds for plain small numbers (kind "s")
+function parseTime(v) {
+  const x = typeof v === "number" ? v : String(v).trim() !== "" && !isNaN(+v) ? +v : NaN;
+  if (Number.isFinite(x)) return x > 1e11 ? { ms: x } : x > 1e9 ? { ms: x * 1000 } : { s: x };
+  const ms = Date.parse(v);
+  return Number.isFinite(ms) ? { ms } : null;
+}
+
+// text → { columns, rows (arrays of raw cells) }
+export function parseRecording(text, name = "") {
+  const trimmed = text.trim();
+  if (name.toLowerCase().endsWith(".json") || trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    let data = JSON.parse(trimmed);
+    if (!Array.isArray(data)) data = data.rows || data.data || [];
+    if (data.length && "channel" in data[0] && "value" in data[0]) {
+      // telemetry messages: one row per timestamp, one column per channel
+      const byTs = new Map();
+      data.forEach(m => { const k = m.ts ?? m.time; if (!byTs.has(k)) byTs.set(k, { ts: k }); byTs.get(k)[m.channel] = m.value; });
+      data = [...byTs.values()];
+    }
+    const columns = [...new Set(data.flatMap(Object.keys))];
+    return { columns, rows: data.map(r => columns.map(c => r[c])) };
+  }
+  const header = trimmed.split(/\r?\n/, 1)[0];
+  const delim = [",", ";", "\t"].reduce((a, d) => (csvRows(header, d)[0].length > csvRows(header, a)[0].length ? d : a));
+  const [columns, ...rows] = csvRows(trimmed, delim);
+  return { columns, rows };
+}
+
+// CSV text → rows of cells. A quoted cell may hold the delimiter and line
+// breaks, and "" inside it stands for one quote.
+function csvRows(text, delim) {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch !== '"') cell += ch;
+      else if (text[i + 1] === '"') { cell += '"'; i++; }
+      else quoted = false;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delim) { row.push(cell.trim()); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell.trim()); rows.push(row); row = []; cell = "";
+    } else cell += ch;
+  }
+  row.push(cell.trim()); rows.push(row);
+  return rows.filter(r => r.some(c => c !== ""));
+}
+
+// first guess at { timeColumn, mapping: { column: channel } }
+export function guessMapping(columns) {
+  const timeColumn = columns.find(c => TIME_NAMES.includes(norm(c))) ?? columns[0];
+  const mapping = {};
+  columns.forEach(c => {
+    if (c === timeColumn) return;
+    const n = norm(c);
+    const hit = Object.keys(CHANNEL_UNITS).find(ch => norm(ch) === n || norm(ch.replace(".", "_")) === n) || ALIASES[n];
+    if (hit) mapping[c] = hit;
+  });
+  return { timeColumn, mapping };
+}
+
+// table + column mapping → { t: seconds from start, start (epoch ms or null), duration, channels }
+export function buildRecording({ columns, rows }, { timeColumn, mapping }, name = "recording") {
+  const ti = columns.indexOf(timeColumn);
+  const used = Object.entries(mapping).filter(([, ch]) => ch).map(([c, ch]) => [columns.indexOf(c), ch]);
+  const parsed = rows.map(r => ({ time: parseTime(r[ti]), r })).filter(x => x.time);
+  if (!parsed.length) throw new Error(`no readable timestamps in column "${timeColumn}"`);
+  const abs = "ms" in parsed[0].time;
+  const secs = parsed.map(x => (abs ? x.time.ms / 1000 : x.time.s));
+  const order = secs.map((_, i) => i).sort((a, b) => secs[a] - secs[b]);
+  const t0 = secs[order[0]];
+  const t = Float64Array.from(order, i => secs[i] - t0);
+  const channels = Object.fromEntries(used.map(([ci, ch]) => [ch, Float64Array.from(order, i => {
+    const v = parsed[i].r[ci];
+    return v === "" || v == null ? NaN : +v;
+  })]));
+  return { name, t, start: abs ? t0 * 1000 : null, duration: t[t.length - 1], channels };
+}
+
+// index of the last sample at or before pos
+function indexAt(rec, pos) {
+  let lo = 0, hi = rec.t.length - 1;
+  if (pos < rec.t[0]) return -1;
+  while (lo < hi) { const mid = (lo + hi + 1) >> 1; if (rec.t[mid] <= pos) lo = mid; else hi = mid - 1; }
+  return lo;
+}
+
+// Chart rows for the `span` seconds up to pos, same shape as stream windows.
+export function recordingWindow(rec, pos, span, maxPts = 300) {
+  const i1 = indexAt(rec, pos) + 1, i0 = Math.max(0, indexAt(rec, pos - span) + 1);
+  const step = Math.max(1, Math.ceil((i1 - i0) / maxPts)), rows = [];
+  for (let a = i0; a < i1; a += step) {
+    const b = Math.min(i1, a + step), row = { t: rec.t[b - 1] };
+    Object.entries(rec.channels).forEach(([k, arr]) => {
+      let s = 0, n = 0;
+      for (let i = a; i < b; i++) if (!Number.isNaN(arr[i])) { s += arr[i]; n++; }
+      row[k] = n ? s / n : null;
+    });
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Sensor sample at pos (last known value per channel); channels the recording
+// does not have are null.
+export function recordingSample(rec, pos) {
+  const i = indexAt(rec, pos);
+  const val = (ch) => {
+    const arr = rec.channels[ch];
+    if (!arr) return null;
+    for (let j = i; j >= 0; j--) if (!Number.isNaN(arr[j])) return arr[j];
+    return null;
+  };
+  const components = Object.fromEntries(COMPONENT_IDS.map(id => [id, { temp: val(`${id}.temp`), vibration: val(`${id}.vibration`) }]));
+  const drive = Object.fromEntries(Object.keys(rec.channels).filter(k => k.startsWith("drive.")).map(k => [k.slice(6), val(k)]));
+  return {
+    t: pos, components,
+    rpm: val("rpm"), phaseA: val("phaseA"), phaseB: val("phaseB"), phaseC: val("phaseC"),
+    vibration: components.bearing_drive.vibration, temperature: components.stator_winding.temp,
+    ...(Object.keys(drive).length ? { drive } : {}),
+  };
+}
@@ -0,0 +1,72 @@
+// ─── SECTION VIEWS ────────────────────────────────────
+// How the 3D model is opened up: the cutaway arc taken out of the housing
+// barrel and up to three clipping planes. Angles are in degrees, offsets in
+// metres. Arc angles are measured around the shaft from the top (+Y) towards
+// +X, as the housing is built. A plane keeps the side of the model away from
+// its direction and removes the rest; `flip` swaps the sides.
+// A preset stores a section together with the camera view it was saved in:
+// { name, section, camera: { theta, phi, radius } }.
+
+const STORAGE_KEY = "dre100.sectionPresets";
+
+export const SECTION_PLANES = {
+  axial:        { label: "Axial",        hint: "across the shaft, at a position along it" },
+  longitudinal: { label: "Longitudinal", hint: "through the shaft axis, at an angle around it" },
+  free:         { label: "Free",         hint: "any orientation" },
+};
+
+export const DEFAULT_SECTION = {
+  cut: { start: -50, end: 140 },
+  planes: {
+    axial:        { on: false, offset: 0, flip: false },
+    longitudinal: { on: false, angle: 60, offset: 0, flip: false },
+    free:         { on: false, azimuth: 45, elevation: 20, offset: 0, flip: false },
+  },
+};
+
+const section = (cut, planes) => ({
+  cut,
+  planes: Object.fromEntries(Object.entries(DEFAULT_SECTION.planes).map(([k, p]) => [k, { ...p, ...planes[k] }])),
+});
+
+// shipped with the dashboard; cannot be deleted
+export const BUILTIN_PRESETS = [
+  { name: "Air gap & slots", builtin: true,
+    section: section({ start: 0, end: 0 }, { axial: { on: true, offset: 0.02 } }),
+    camera: { theta: 0.45, phi: 1.2, radius: 0.34 } },
+  { name: "Drive-end bearing seat", builtin: true,
+    section: section({ start: 0, end: 0 }, { longitudinal: { on: true, angle: 0 } }),
+    camera: { theta: -2.4, phi: 0.7, radius: 0.3 } },
+  { name: "Half section", builtin: true,
+    section: section({ start: 0, end: 0 }, { longitudinal: { on: true, angle: 60 } }),
+    camera: { theta: 0.76, phi: 1.2, radius: 0.5 } },
+];
+
+const rad = (d) => d * Math.PI / 180;
+
+// Enabled planes as { key, normal: [x, y, z], constant }: the model is kept
+// where normal · p + constant ≥ 0, as three.js clipping planes do.
+export function sectionPlanes({ planes }) {
+  return Object.entries(planes).filter(([, p]) => p.on).map(([key, p]) => {
+    let dir;
+    if (key === "axial") dir = [0, 0, 1];
+    else if (key === "longitudinal") dir = [Math.sin(rad(p.angle)), Math.cos(rad(p.angle)), 0];
+    else dir = [Math.cos(rad(p.elevation)) * Math.sin(rad(p.azimuth)), Math.sin(rad(p.elevation)), Math.cos(rad(p.elevation)) * Math.cos(rad(p.azimuth))];
+    const s = p.flip ? 1 : -1;
+    return { key, normal: dir.map(v => s * v), constant: -s * p.offset };
+  });
+}
+
+export function loadSectionPresets() {
+  try {
+    const p = JSON.parse(globalThis.localStorage?.getItem(STORAGE_KEY));
+    if (Array.isArray(p) && p.every(x => typeof x.name === "string" && x.section?.cut && x.section?.planes && x.camera)) {
+      return p.map(x => ({ ...x, section: section(x.section.cut, x.section.planes) }));
+    }
+  } catch { /* no saved presets */ }
+  return [];
+}
+
+export function saveSectionPresets(presets) {
+  globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify(presets));
+}
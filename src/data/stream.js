@@ -0,0 +1,107 @@
+// ─── LIVE SENSOR STREAM ───────────────────────────────
+// Pulls samples from a source at a configurable rate into one bounded ring
+// buffer per channel. Subscribers get a fresh immutable frame after every
+// append, which plugs straight into useSyncExternalStore.
+
+export const WINDOWS = [["1 min", 60], ["10 min", 600], ["1 h", 3600]];
+export const RATES = [0.5, 1, 2];            // Hz
+const MAX_SPAN = 3600;                       // s — the longest window kept
+
+export function createRingBuffer(capacity) {
+  const buf = new Float64Array(capacity);
+  let start = 0, size = 0;
+  return {
+    push(v) {
+      buf[(start + size) % capacity] = v;
+      if (size < capacity) size++; else start = (start + 1) % capacity;
+    },
+    get length() { return size; },
+    at: (i) => buf[(start + i) % capacity],
+    toArray: () => Array.from({ length: size }, (_, i) => buf[(start + i) % capacity]),
+    clear() { start = 0; size = 0; },
+  };
+}
+
+// stream time (s) as m:ss, negative before the dashboard opened
+export const fmtClock = (t) => `${t < 0 ? "−" : ""}${Math.floor(Math.abs(t) / 60)}:${String(Math.floor(Math.abs(t) % 60)).padStart(2, "0")}`;
+
+// Flattens a sensor sample into named numeric channels.
+export function channelsOf(d) {
+  const ch = { rpm: d.rpm, phaseA: d.phaseA, phaseB: d.phaseB, phaseC: d.phaseC };
+  Object.entries(d.components).forEach(([id, v]) => { ch[`${id}.temp`] = v.temp; ch[`${id}.vibration`] = v.vibration; });
+  Object.entries(d.drive || {}).forEach(([k, v]) => { ch[`drive.${k}`] = v; });
+  return ch;
+}
+
+// Bucket-average evenly spaced indices so long windows stay cheap to chart.
+function decimate(n, maxPts) {
+  const step = Math.max(1, Math.ceil(n / maxPts));
+  const out = [];
+  for (let i = 0; i < n; i += step) out.push([i, Math.min(n, i + step)]);
+  return out;
+}
+
+// source(t) → sample; swap it at run time with setSource (e.g. to overlay
+// telemetry). `prefill` samples the past hour sparsely so every window has
+// something to show from the first frame.
+export function createStream({ source, rate = 1, prefill = true }) {
+  const capacity = Math.ceil(MAX_SPAN * Math.max(...RATES)) + 256;
+  const time = createRingBuffer(capacity);
+  const bufs = {};
+  const listeners = new Set();
+  let t = 0, hz = rate, timer = null, paused = false, latest = null, frame = null;
+
+  let src = source;
+  const append = (tt) => {
+    latest = src(tt);
+    time.push(tt);
+    // channels can come and go (e.g. a drive feed); gaps are kept as NaN so
+    // every buffer stays aligned with the time axis
+    const ch = channelsOf(latest);
+    Object.keys(ch).forEach(k => {
+      if (bufs[k]) return;
+      bufs[k] = createRingBuffer(capacity);
+      for (let i = 1; i < time.length; i++) bufs[k].push(NaN);
+    });
+    Object.entries(bufs).forEach(([k, buf]) => buf.push(k in ch ? ch[k] : NaN));
+  };
+  const publish = () => {
+    const snap = { t, latest, paused, rate: hz, version: (frame?.version ?? 0) + 1 };
+    // rows for the last `span` seconds: { t, <channel>: value, ... }, at most
+    // maxPts; a channel with no data in a bucket is null (a gap on the chart)
+    snap.window = (span, maxPts = 300) => {
+      let i0 = time.length;
+      while (i0 > 0 && time.at(i0 - 1) >= t - span) i0--;
+      return decimate(time.length - i0, maxPts).map(([a, b]) => {
+        const row = { t: time.at(i0 + b - 1) };
+        Object.entries(bufs).forEach(([k, buf]) => {
+          let s = 0, n = 0;
+          for (let i = a; i < b; i++) { const v = buf.at(i0 + i); if (!Number.isNaN(v)) { s += v; n++; } }
+          row[k] = n ? s / n : null;
+        });
+        return row;
+      });
+    };
+    frame = snap;
+    listeners.forEach(l => l());
+  };
+  const tick = () => { t += 1 / hz; append(t); publish(); };
+  const schedule = () => { clearInterval(timer); timer = paused ? null : setInterval(tick, 1000 / hz); };
+
+  if (prefill) {
+    for (let tt = -MAX_SPAN; tt < -60; tt += 30) append(tt);
+    for (let tt = -60; tt <= 0; tt += 1 / hz) append(tt);
+  } else append(0);
+  publish();
+
+  return {
+    start: schedule,
+    stop() { clearInterval(timer); timer = null; },
+    pause() { paused = true; schedule(); publish(); },
+    resume() { paused = false; schedule(); publish(); },
+    setSource(fn) { src = fn; },
+    setRate(r) { hz = r; if (timer) schedule(); publish(); },
+    subscribe(l) { listeners.add(l); return () => listeners.delete(l); },
+    getFrame: () => frame,
+  };
+}
@@ -0,0 +1,139 @@
+// ─── TELEMETRY INGESTION ──────────────────────────────
+// External measurements arrive as JSON over a WebSocket, one reading per
+// message (or an array of them), or over MQTT (see mqttMapping.js):
+//
+//   { "asset": "DRE100L4-01", "channel": "bearing_drive.vibration",
+//     "ts": 1718000000000, "value": 2.41, "unit": "mm/s" }
+//
+// Channels use the stream's names. Valid readings are held per channel and
+// overlaid on the twin's own sample at every stream tick, so channels the
+// publisher does not send keep their simulated values.
+
+import { ASSET_ID, CHANNEL_UNITS } from "./channels";
+import { decodeMqtt } from "./mqttMapping";
+
+export const DEFAULT_URL = "ws://localhost:8765";
+const STALE_AFTER = 10000;               // ms without a reading before a channel falls back
+const BACKOFF = { base: 500, max: 30000 };
+
+// null if the message is a valid reading, otherwise the reason it is not
+export function validateMessage(m) {
+  if (!m || typeof m !== "object" || Array.isArray(m)) return "not an object";
+  if (typeof m.asset !== "string" || !m.asset) return "missing asset";
+  if (!(m.channel in CHANNEL_UNITS)) return `unknown channel "${m.channel}"`;
+  const ts = typeof m.ts === "string" ? Date.parse(m.ts) : m.ts;
+  if (!Number.isFinite(ts)) return "bad timestamp";
+  if (typeof m.value !== "number" || !Number.isFinite(m.value)) return "value is not a number";
+  if (m.unit !== CHANNEL_UNITS[m.channel]) return `${m.channel} expects ${CHANNEL_UNITS[m.channel]}, got ${m.unit}`;
+  return null;
+}
+
+// A sensor sample with measured channels written over the simulated ones,
+// which `measured` lists. Inverter channels have no simulated counterpart and
+// land in `drive`.
+export function applyChannels(d, ch) {
+  const components = Object.fromEntries(Object.entries(d.components).map(([id, v]) => [id, {
+    temp: ch[`${id}.temp`] ?? v.temp,
+    vibration: ch[`${id}.vibration`] ?? v.vibration,
+  }]));
+  const out = {
+    ...d, components,
+    rpm: ch.rpm ?? d.rpm,
+    phaseA: ch.phaseA ?? d.phaseA, phaseB: ch.phaseB ?? d.phaseB, phaseC: ch.phaseC ?? d.phaseC,
+    vibration: components.bearing_drive.vibration,
+    temperature: components.stator_winding.temp,
+    measured: Object.keys(ch),
+  };
+  const drive = Object.entries(ch).filter(([k]) => k.startsWith("drive."));
+  if (drive.length) out.drive = Object.fromEntries(drive.map(([k, v]) => [k.slice(6), v]));
+  return out;
+}
+
+// ─── TRANSPORTS ───
+// Each opens one connection and reports through { open, messages, bad, error,
+// close }; it returns a function that tears the connection down silently.
+
+function wsTransport(url, h) {
+  const ws = new WebSocket(url);
+  ws.onopen = h.open;
+  ws.onmessage = (ev) => {
+    let msg;
+    try { msg = JSON.parse(ev.data); } catch { return h.bad("invalid JSON"); }
+    h.messages(Array.isArray(msg) ? msg : [msg]);
+  };
+  ws.onerror = () => h.error(`cannot reach ${url}`);
+  ws.onclose = h.close;
+  return () => { ws.onclose = null; ws.close(); };
+}
+
+// MQTT over WebSocket; the client library is only loaded when first used.
+// Its own reconnect is disabled so both transports share the backoff below.
+function mqttTransport(url, h, { mapping, asset }) {
+  let client = null, dead = false;
+  import("mqtt").then(({ default: mqtt }) => {
+    if (dead) return;
+    client = mqtt.connect(url, { reconnectPeriod: 0, connectTimeout: 5000, clientId: `dre100-twin-${Math.random().toString(16).slice(2, 10)}` });
+    client.on("connect", () => { client.subscribe([...new Set(mapping.map(r => r.pattern))]); h.open(); });
+    client.on("message", (topic, payload) => h.messages(decodeMqtt(topic, payload.toString(), mapping, asset)));
+    client.on("error", (e) => h.error(e.message || `cannot reach ${url}`));
+    client.once("close", h.close);
+  }, (e) => { h.error(e.message); h.close(); });
+  return () => { dead = true; if (client) { client.removeAllListeners("close"); client.end(true); } };
+}
+
+const TRANSPORTS = { ws: wsTransport, mqtt: mqttTransport };
+
+// Connects to `url` over `kind` ("ws" or "mqtt"; MQTT also needs the topic
+// `mapping`) and keeps reconnecting with jittered exponential backoff until
+// closed. `onStatus` gets { state, attempt, retryIn, received, rejected,
+// lastError, channels } whenever something changes; state is "connecting",
+// "open", "reconnecting" or "closed".
+export function createTelemetryLink({ url, kind = "ws", mapping = [], asset = ASSET_ID, onStatus = () => {} }) {
+  const held = {};                       // channel → { ts, value, at }
+  let teardown = null, timer = null, closed = false;
+  let status = { state: "connecting", attempt: 0, retryIn: 0, received: 0, rejected: 0, lastError: null, channels: 0 };
+  const update = (patch) => { status = { ...status, ...patch }; onStatus(status); };
+
+  const ingest = (m) => {
+    const err = validateMessage(m);
+    if (err) return update({ rejected: status.rejected + 1, lastError: err });
+    if (m.asset !== asset) return;
+    const ts = typeof m.ts === "string" ? Date.parse(m.ts) : m.ts;
+    if (held[m.channel] && ts < held[m.channel].ts) return; // out of order
+    held[m.channel] = { ts, value: m.value, at: Date.now() };
+    update({ received: status.received + 1, channels: Object.keys(held).length });
+  };
+
+  const connect = () => {
+    update({ state: status.attempt ? "reconnecting" : "connecting", retryIn: 0 });
+    let done = false;
+    const handlers = {
+      open: () => update({ state: "open", attempt: 0, lastError: null }),
+      messages: (list) => list.forEach(ingest),
+      bad: (reason) => update({ rejected: status.rejected + 1, lastError: reason }),
+      error: (reason) => update({ lastError: reason }),
+      close: () => { if (!done && !closed) { done = true; teardown = null; retry(); } },
+    };
+    try { teardown = TRANSPORTS[kind](url, handlers, { mapping, asset }); } catch (e) { handlers.error(e.message); handlers.close(); }
+  };
+  const retry = () => {
+    const delay = Math.min(BACKOFF.max, BACKOFF.base * 2 ** status.attempt) * (0.5 + Math.random() / 2);
+    update({ state: "reconnecting", attempt: status.attempt + 1, retryIn: delay });
+    timer = setTimeout(connect, delay);
+  };
+
+  connect();
+  return {
+    // current value of every channel heard from recently
+    channels() {
+      const now = Date.now();
+      return Object.fromEntries(Object.entries(held).filter(([, h]) => now - h.at < STALE_AFTER).map(([k, h]) => [k, h.value]));
+    },
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      if (teardown) teardown();
+      update({ state: "closed" });
+    },
+  };
+}
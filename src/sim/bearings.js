@@ -0,0 +1,20 @@
+// ─── ROLLING-ELEMENT BEARINGS ─────────────────────────
+// Geometry of the deep-groove ball bearings fitted to the DRE100 frame and
+// the classic kinematic defect frequencies (contact angle φ, no slip).
+
+export const BEARINGS = {
+  bearing_drive: { designation: "6306-2Z", n: 8, d: 12.7, D: 51.5, phi: 0, resonance: 3200 },
+  bearing_fan:   { designation: "6205-2Z", n: 9, d: 7.94, D: 39.04, phi: 0, resonance: 3600 },
+};
+
+// fr = shaft speed in Hz. Returns Hz for cage (FTF), outer race (BPFO),
+// inner race (BPFI) and ball spin (BSF).
+export function defectFrequencies({ n, d, D, phi }, fr) {
+  const r = (d / D) * Math.cos(phi);
+  return {
+    ftf:  fr / 2 * (1 - r),
+    bpfo: n * fr / 2 * (1 - r),
+    bpfi: n * fr / 2 * (1 + r),
+    bsf:  D * fr / (2 * d) * (1 - r * r),
+  };
+}
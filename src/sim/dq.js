@@ -0,0 +1,117 @@
+// ─── INDUCTION MOTOR — TRANSIENT d-q MODEL ─────────────
+// Fifth-order model in the stationary (α-β) reference frame, states
+// [ψαs, ψβs, ψαr, ψβr, ωm], integrated with fixed-step RK4. Inductances are
+// derived from the same equivalent circuit as the steady-state model (core
+// loss neglected), so both models settle to the same operating point.
+
+import { MOTOR, evalSlip, ratedTorque } from "./motor";
+
+const wb = 2 * Math.PI * MOTOR.ratedFreq;
+const Lm = MOTOR.Xm / wb;
+const Ls = MOTOR.X1 / wb + Lm;
+const Lr = MOTOR.X2 / wb + Lm;
+const D  = Ls * Lr - Lm * Lm;
+const pp = MOTOR.poles / 2;
+const B  = MOTOR.Pfw / Math.pow(MOTOR.ratedSpeed * Math.PI / 30, 2); // viscous friction (N·m·s)
+
+export const JLOAD = 0.02; // coupled load inertia (kg·m²)
+export const OUT_STEP = 1e-3; // s between returned samples by default
+
+// Each scenario gives the supply scale (1 = rated line voltage) and the load
+// torque as functions of time and shaft speed.
+const Tn = ratedTorque();
+const wn = MOTOR.ratedSpeed * Math.PI / 30;
+const fanLoad = (k) => (wm) => k * Tn * (wm / wn) ** 2;
+
+export const SCENARIOS = {
+  dol: {
+    label: "DOL start", duration: 1.2, init: "standstill",
+    supply: () => 1, load: (t, wm) => fanLoad(0.8)(wm),
+  },
+  star_delta: {
+    label: "Y-Δ start", duration: 1.6, init: "standstill",
+    // star: each winding sees 1/√3 of line voltage; 40 ms open transition before delta
+    supply: (t) => (t < 0.8 ? 1 / Math.sqrt(3) : t < 0.84 ? 0 : 1),
+    load: (t, wm) => fanLoad(0.8)(wm),
+  },
+  load_step: {
+    label: "Load step", duration: 1.0, init: "steady", initLoad: 0.3 * Tn,
+    supply: () => 1, load: (t) => (t < 0.2 ? 0.3 : 1.1) * Tn,
+  },
+  voltage_sag: {
+    label: "Voltage sag", duration: 1.0, init: "steady", initLoad: 0.9 * Tn,
+    // 50 % sag for 10 cycles
+    supply: (t) => (t >= 0.2 && t < 0.2 + 10 / MOTOR.ratedFreq ? 0.5 : 1),
+    load: () => 0.9 * Tn,
+  },
+};
+
+// Initial flux linkages for a steady operating point, built from the circuit
+// phasors at θ = 0 (amplitude-invariant scaling, so phasor peak = α-β magnitude).
+function steadyState(loadTorque) {
+  const p = { Rc: 1e12 };
+  let lo = 1e-6, hi = 0.3;
+  for (let i = 0; i < 60; i++) {
+    const mid = 0.5 * (lo + hi);
+    if (evalSlip(mid, { p }).shaftTorque < loadTorque) lo = mid; else hi = mid;
+  }
+  const s = hi, Vm = Math.SQRT2 * MOTOR.ratedVoltage / Math.sqrt(3);
+  // solve the circuit in complex form directly for Is and Ir
+  const z1 = [MOTOR.R1, MOTOR.X1], z2 = [MOTOR.R2 / s, MOTOR.X2], zm = [0, MOTOR.Xm];
+  const cm = (a, b) => [a[0]*b[0] - a[1]*b[1], a[0]*b[1] + a[1]*b[0]];
+  const cd = (a, b) => { const d = b[0]*b[0] + b[1]*b[1]; return [(a[0]*b[0] + a[1]*b[1])/d, (a[1]*b[0] - a[0]*b[1])/d]; };
+  const ca = (a, b) => [a[0] + b[0], a[1] + b[1]];
+  const zp = cd(cm(zm, z2), ca(zm, z2));
+  const is = cd([Vm, 0], ca(z1, zp));
+  const ir = cd(cm(is, zm), ca(zm, z2)).map(v => -v); // rotor current into the winding
+  return [Ls*is[0] + Lm*ir[0], Ls*is[1] + Lm*ir[1], Lr*ir[0] + Lm*is[0], Lr*ir[1] + Lm*is[1], (1 - s) * wb / pp];
+}
+
+// Simulate a scenario. Returns samples every `outStep` seconds with
+// instantaneous phase currents (A), electromagnetic torque (N·m) and speed (rpm).
+export function simulate(key, { dt = 1e-4, outStep = OUT_STEP, Jload = JLOAD } = {}) {
+  const sc = SCENARIOS[key];
+  const J = MOTOR.J + Jload;
+  const Vm = Math.SQRT2 * MOTOR.ratedVoltage / Math.sqrt(3);
+  const Rs = MOTOR.R1, Rr = MOTOR.R2;
+
+  const currents = (x) => [
+    (Lr*x[0] - Lm*x[2]) / D, (Lr*x[1] - Lm*x[3]) / D,
+    (Ls*x[2] - Lm*x[0]) / D, (Ls*x[3] - Lm*x[1]) / D,
+  ];
+  const torque = (x, i) => 1.5 * pp * (x[0]*i[1] - x[1]*i[0]);
+  const deriv = (t, x) => {
+    const i = currents(x), we = pp * x[4], k = sc.supply(t) * Vm, th = wb * t;
+    const Te = torque(x, i);
+    const TL = sc.load(t, x[4]);
+    return [
+      k * Math.cos(th) - Rs*i[0],
+      k * Math.sin(th) - Rs*i[1],
+      -Rr*i[2] - we*x[3],
+      -Rr*i[3] + we*x[2],
+      (Te - TL - B*x[4]) / J,
+    ];
+  };
+
+  let x = sc.init === "steady" ? steadyState(sc.initLoad) : [0, 0, 0, 0, 0];
+  const out = [];
+  const every = Math.round(outStep / dt), steps = Math.round(sc.duration / dt);
+  for (let n = 0; n <= steps; n++) {
+    const t = n * dt;
+    if (n % every === 0) {
+      const i = currents(x);
+      out.push({
+        t: +t.toFixed(4),
+        ia: i[0], ib: -0.5*i[0] + Math.sqrt(3)/2*i[1], ic: -0.5*i[0] - Math.sqrt(3)/2*i[1],
+        te: torque(x, i), rpm: x[4] * 30 / Math.PI, supply: sc.supply(t),
+      });
+    }
+    const k1 = deriv(t, x);
+    const k2 = deriv(t + dt/2, x.map((v, j) => v + dt/2 * k1[j]));
+    const k3 = deriv(t + dt/2, x.map((v, j) => v + dt/2 * k2[j]));
+    const k4 = deriv(t + dt,   x.map((v, j) => v + dt * k3[j]));
+    x = x.map((v, j) => v + dt/6 * (k1[j] + 2*k2[j] + 2*k3[j] + k4[j]));
+    if (x[4] < 0) x[4] = 0; // the load cannot drive the shaft backwards
+  }
+  return out;
+}
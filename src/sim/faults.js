@@ -0,0 +1,188 @@
+// ─── FAULT INJECTION ──────────────────────────────────
+// Catalogue of injectable faults and how each one shows up in the
+// generated signals. A fault instance is { id, type, comp, severity }.
+// `critical` is the severity at which the fault alone makes its component critical;
+// `growth` is the exponential progression rate (1/day) used to build its history.
+
+import { MOTOR } from "./motor";
+import { BEARINGS, defectFrequencies } from "./bearings";
+
+export const ROTOR_BARS = 28;
+const Z_BASE = MOTOR.ratedVoltage / Math.sqrt(3) / MOTOR.ratedCurrent; // Ω
+const BEARING_LOCS = ["bearing_drive", "bearing_fan"];
+
+export const FAULT_TYPES = {
+  broken_bars:   { label: "Broken Rotor Bars",     comp: "rotor_bars",     param: "Broken bars",        unit: "",     min: 0, max: 8,   step: 1,    critical: 2,   growth: 0.02  },
+  bearing_outer: { label: "Outer Race Defect",     locations: BEARING_LOCS,  param: "Spall width",        unit: "mm",   min: 0, max: 2,   step: 0.1,  critical: 1,   growth: 0.04  },
+  bearing_inner: { label: "Inner Race Defect",     locations: BEARING_LOCS,  param: "Spall width",        unit: "mm",   min: 0, max: 2,   step: 0.1,  critical: 1,   growth: 0.05  },
+  bearing_ball:  { label: "Ball Defect",           locations: BEARING_LOCS,  param: "Spall width",        unit: "mm",   min: 0, max: 2,   step: 0.1,  critical: 1,   growth: 0.04  },
+  ecc_static:    { label: "Static Eccentricity",   comp: "rotor_bars",     param: "Air-gap offset",     unit: "%",    min: 0, max: 50,  step: 1,    critical: 30,  growth: 0.005 },
+  ecc_dynamic:   { label: "Dynamic Eccentricity",  comp: "rotor_bars",     param: "Air-gap offset",     unit: "%",    min: 0, max: 50,  step: 1,    critical: 30,  growth: 0.01  },
+  imbalance:     { label: "Imbalance",             locations: ["rotor_bars", "fan_guard"], param: "Residual unbalance", unit: "g·mm", min: 0, max: 600, step: 10, critical: 300, growth: 0.015 },
+  misalignment:  { label: "Shaft Misalignment",    comp: "shaft",          param: "Parallel offset",    unit: "mm",   min: 0, max: 1,   step: 0.05, critical: 0.5, growth: 0     },
+  inter_turn:    { label: "Inter-turn Short",      comp: "stator_winding", param: "Shorted turns",      unit: "%",    min: 0, max: 10,  step: 0.5,  critical: 3,   growth: 0.08  },
+  phase_loss:    { label: "Phase Loss",            comp: "junction_box",   param: "L3 contact loss",    unit: "%",    min: 0, max: 100, step: 1,    critical: 10,  growth: 0.03  },
+};
+
+let nextId = 1;
+export function createFault(type, comp, severity) {
+  const ft = FAULT_TYPES[type];
+  return { id: nextId++, type, comp: comp || ft.comp || ft.locations[0], severity: severity ?? ft.critical / 2 };
+}
+
+// severity as a fraction of the critical level
+export const faultLevel = (f) => f.severity / FAULT_TYPES[f.type].critical;
+
+export function componentStatus(compId, faults) {
+  const lv = Math.max(0, ...faults.filter(f => f.comp === compId).map(faultLevel));
+  return lv >= 1 ? "critical" : lv > 0 ? "warning" : "good";
+}
+
+// the fault set as it was (t < 0) or will be `days` from now
+export const faultsAt = (faults, days) => faults.map(f => {
+  const ft = FAULT_TYPES[f.type];
+  return { ...f, severity: Math.min(ft.max, f.severity * Math.exp(ft.growth * days)) };
+});
+
+const sev = (faults, type, comp) =>
+  faults.filter(f => f.type === type && (!comp || f.comp === comp)).reduce((s, f) => s + f.severity, 0);
+
+// ── operating-point effects ──
+// Motor-parameter overrides, series resistance in line L3 (Ω; 100 % contact
+// loss = open phase), shorted-turn fraction and the extra heat (W) each fault
+// adds at its component.
+export function faultEffects(faults) {
+  const nb = Math.min(sev(faults, "broken_bars"), ROTOR_BARS - 1);
+  const heat = { stator_winding: 0, rotor_bars: 0, bearing_drive: 0, bearing_fan: 0 };
+  BEARING_LOCS.forEach((loc) => {
+    heat[loc] += 4 * (sev(faults, "bearing_outer", loc) + sev(faults, "bearing_inner", loc) + sev(faults, "bearing_ball", loc));
+  });
+  const mis = sev(faults, "misalignment"), unb = sev(faults, "imbalance");
+  heat.bearing_drive += 10 * mis + 0.005 * unb;
+  heat.bearing_fan   += 5 * mis + 0.005 * unb;
+  heat.rotor_bars    += 10 * nb + 0.3 * (sev(faults, "ecc_static") + sev(faults, "ecc_dynamic"));
+  heat.stator_winding += 8 * sev(faults, "inter_turn");
+  const loss = Math.min(100, sev(faults, "phase_loss"));
+  return {
+    p: { R2: MOTOR.R2 * (1 + 1.5 * nb / ROTOR_BARS) },
+    Rf: loss >= 100 ? 1e9 : 0.2 * Z_BASE * loss / (100 - loss),
+    interTurn: sev(faults, "inter_turn") / 100,
+    heat,
+  };
+}
+
+// ── stator current ──
+// Per-phase fundamental phasors (RMS A, rad) from the line-fault solution in
+// `op`, plus spectral tones relative to the fundamental. Sequence ±1 sets the
+// phase shift of a tone between phases.
+export function currentModel(op, faults, freq = MOTOR.ratedFreq) {
+  const fx = faultEffects(faults);
+  const s = op.slip, fr = op.rpm / 60;
+  const phases = op.phases.map((ph, k) => (k === 0 ? { ...ph, amp: ph.amp * (1 + 2.5 * fx.interTurn) } : ph));
+
+  const nb = Math.min(sev(faults, "broken_bars"), ROTOR_BARS - 1);
+  const bb = 0.0018 + 0.5 * nb / (ROTOR_BARS - nb);       // ≈ −55 dB healthy, −34 dB for one bar
+  const ed = 0.002 + 0.0008 * sev(faults, "ecc_dynamic");
+  const es = 0.001 + 0.0006 * sev(faults, "ecc_static");
+  const fsh = ROTOR_BARS * (1 - s) / (MOTOR.poles / 2) * freq; // principal slot harmonic centre
+  const tones = [
+    { f: 5 * freq, rel: 0.02, seq: -1, src: "supply" },
+    { f: 7 * freq, rel: 0.01, seq: 1,  src: "supply" },
+    { f: (1 - 2*s) * freq, rel: bb,        seq: 1, src: "broken_bars" },
+    { f: (1 + 2*s) * freq, rel: 0.7 * bb,  seq: 1, src: "broken_bars" },
+    { f: (1 - 4*s) * freq, rel: 0.25 * bb, seq: 1, src: "broken_bars" },
+    { f: (1 + 4*s) * freq, rel: 0.2 * bb,  seq: 1, src: "broken_bars" },
+    { f: freq - fr, rel: ed, seq: 1, src: "ecc_dynamic" },
+    { f: freq + fr, rel: ed, seq: 1, src: "ecc_dynamic" },
+    { f: freq - 2*fr, rel: 0.3 * ed, seq: 1, src: "ecc_dynamic" },
+    { f: freq + 2*fr, rel: 0.3 * ed, seq: 1, src: "ecc_dynamic" },
+    { f: fsh - freq, rel: es, seq: 1, src: "ecc_static" },
+    { f: fsh + freq, rel: es, seq: 1, src: "ecc_static" },
+    { f: 3 * freq, rel: 0.005 * sev(faults, "inter_turn"), seq: 0, src: "inter_turn" },
+  ];
+  const mis = sev(faults, "misalignment");
+  if (mis > 0) tones.push({ f: freq - fr, rel: 0.003 * mis, seq: 1, src: "misalignment" }, { f: freq + fr, rel: 0.003 * mis, seq: 1, src: "misalignment" });
+  BEARING_LOCS.forEach((loc) => {
+    const df = defectFrequencies(BEARINGS[loc], fr);
+    [["bearing_outer", df.bpfo], ["bearing_inner", df.bpfi], ["bearing_ball", 2 * df.bsf]].forEach(([type, fv]) => {
+      const v = sev(faults, type, loc);
+      if (v > 0) tones.push({ f: Math.abs(freq - fv), rel: 0.001 * v, seq: 1, src: type }, { f: freq + fv, rel: 0.001 * v, seq: 1, src: type });
+    });
+  });
+  return { phases, tones, negSeq: op.i2 };
+}
+
+// ── vibration ──
+// Velocity (mm/s peak) tones plus bearing impact trains that ring the housing
+// resonance, for one measurement location (a bearing id).
+export function vibrationModel(op, faults, loc, freq = MOTOR.ratedFreq) {
+  const fr = op.rpm / 60, fp = 2 * op.slip * freq;
+  const n2 = (op.rpm / MOTOR.ratedSpeed) ** 2, iRel = op.current / MOTOR.ratedCurrent;
+  const de = loc === "bearing_drive";
+  const fx = faultEffects(faults);
+
+  const unbRotor = sev(faults, "imbalance", "rotor_bars"), unbFan = sev(faults, "imbalance", "fan_guard");
+  const mis = sev(faults, "misalignment") * (de ? 1 : 0.5);
+  const nb = sev(faults, "broken_bars");
+  const ed = sev(faults, "ecc_dynamic"), es = sev(faults, "ecc_static");
+
+  const tones = [
+    { f: fr,       amp: n2 * (1.1 + 0.015 * (unbRotor + (de ? 0.4 : 1) * unbFan) + 3 * mis + 0.2 * nb + 0.015 * ed), src: "1x" },
+    { f: 2 * fr,   amp: n2 * 0.25 + 6 * mis, src: "2x" },
+    { f: 3 * fr,   amp: 1.5 * mis, src: "3x" },
+    { f: 2 * freq, amp: 0.45 * iRel * iRel + 0.02 * ed + 0.04 * es + 15 * fx.interTurn + 0.6 * Math.hypot(op.i2.re, op.i2.im), src: "2f" },
+  ];
+  if (nb > 0) tones.push({ f: fr - fp, amp: 0.25 * nb, src: "broken_bars" }, { f: fr + fp, amp: 0.25 * nb, src: "broken_bars" });
+  if (ed > 0) tones.push({ f: 2 * freq - fp, amp: 0.01 * ed, src: "ecc_dynamic" }, { f: 2 * freq + fp, amp: 0.01 * ed, src: "ecc_dynamic" });
+
+  const impacts = [];
+  const { resonance } = BEARINGS[loc];
+  BEARING_LOCS.forEach((b) => {
+    const w = b === loc ? 1 : 0.15;
+    const df = defectFrequencies(BEARINGS[b], fr);
+    const o = sev(faults, "bearing_outer", b) * w, i = sev(faults, "bearing_inner", b) * w, k = sev(faults, "bearing_ball", b) * w;
+    if (o > 0) {
+      impacts.push({ rate: df.bpfo, amp: 8 * o, fn: resonance, zeta: 0.05, modFreq: 0, modDepth: 0, src: "bearing_outer" });
+      tones.push({ f: df.bpfo, amp: 0.3 * o, src: "bearing_outer" }, { f: 2 * df.bpfo, amp: 0.15 * o, src: "bearing_outer" }, { f: 3 * df.bpfo, amp: 0.08 * o, src: "bearing_outer" });
+    }
+    if (i > 0) {
+      impacts.push({ rate: df.bpfi, amp: 8 * i, fn: resonance, zeta: 0.05, modFreq: fr, modDepth: 0.6, src: "bearing_inner" });
+      tones.push({ f: df.bpfi, amp: 0.25 * i, src: "bearing_inner" }, { f: df.bpfi - fr, amp: 0.1 * i, src: "bearing_inner" }, { f: df.bpfi + fr, amp: 0.1 * i, src: "bearing_inner" });
+    }
+    if (k > 0) {
+      impacts.push({ rate: 2 * df.bsf, amp: 6 * k, fn: resonance, zeta: 0.05, modFreq: df.ftf, modDepth: 0.5, src: "bearing_ball" });
+      tones.push({ f: 2 * df.bsf, amp: 0.15 * k, src: "bearing_ball" }, { f: df.ftf, amp: 0.1 * k, src: "bearing_ball" });
+    }
+  });
+  return { tones: tones.filter(t => t.amp > 0), impacts, noise: 0.08 };
+}
+
+// overall velocity RMS (mm/s) of a vibration model, evaluated analytically
+export function vibrationRms({ tones, impacts, noise }) {
+  let ms = noise * noise + tones.reduce((s, t) => s + t.amp * t.amp / 2, 0);
+  impacts.forEach(({ rate, amp, fn, zeta, modDepth }) => {
+    // energy of one decaying burst ≈ A² / (4ζω); modulation m(t) = 1 − d/2 + d/2·cos
+    const m2 = (1 - modDepth / 2) ** 2 + modDepth * modDepth / 8;
+    ms += rate * amp * amp * m2 / (4 * zeta * 2 * Math.PI * fn);
+  });
+  return Math.sqrt(ms);
+}
+
+// Characteristic frequencies (Hz) of a fault at the current operating point —
+// the ground truth a diagnostic should find.
+export function faultSignature(f, op, freq = MOTOR.ratedFreq) {
+  const fr = op.rpm / 60, s = op.slip;
+  switch (f.type) {
+    case "broken_bars":   return { "(1−2s)f": (1 - 2*s) * freq, "(1+2s)f": (1 + 2*s) * freq };
+    case "bearing_outer": return { BPFO: defectFrequencies(BEARINGS[f.comp], fr).bpfo };
+    case "bearing_inner": return { BPFI: defectFrequencies(BEARINGS[f.comp], fr).bpfi };
+    case "bearing_ball":  { const d = defectFrequencies(BEARINGS[f.comp], fr); return { "2×BSF": 2 * d.bsf, FTF: d.ftf }; }
+    case "ecc_static":    return { "2f": 2 * freq };
+    case "ecc_dynamic":   return { "f−fr": freq - fr, "f+fr": freq + fr };
+    case "imbalance":     return { "1×": fr };
+    case "misalignment":  return { "2×": 2 * fr };
+    case "inter_turn":    return { "3f": 3 * freq };
+    case "phase_loss":    return { "2f": 2 * freq };
+    default:              return {};
+  }
+}
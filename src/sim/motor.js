@@ -0,0 +1,127 @@
+// ─── INDUCTION MOTOR — STEADY-STATE EQUIVALENT CIRCUIT ─
+// Per-phase (equivalent star) IEEE circuit for the DRE100L4:
+//
+//   V ── R1 ── jX1 ──┬──────────┬── jX2 ── R2/s ──┐
+//                    Rc        jXm                │
+//   N ───────────────┴──────────┴─────────────────┘
+//
+// Reactances are given at rated frequency and scale with f.
+
+export const MOTOR = {
+  model: "DRE100L4",
+  ratedPower: 2200,      // W (shaft)
+  ratedVoltage: 460,     // V line-line
+  ratedFreq: 60,         // Hz
+  ratedSpeed: 1740,      // rpm
+  ratedCurrent: 4.06,    // A
+  poles: 4,
+  R1: 2.8,  X1: 4.2,     // stator resistance / leakage (Ω)
+  R2: 2.6,  X2: 5.2,     // rotor (referred) resistance / leakage (Ω)
+  Xm: 110,  Rc: 2600,    // magnetising reactance / core-loss resistance (Ω)
+  Pfw: 40,               // friction + windage at rated speed (W)
+  J: 0.0074,             // rotor + fan inertia (kg·m²)
+};
+
+export const syncSpeed = (f = MOTOR.ratedFreq) => 120 * f / MOTOR.poles;          // rpm
+export const ratedTorque = () => MOTOR.ratedPower / (MOTOR.ratedSpeed * Math.PI / 30); // N·m
+
+// minimal complex arithmetic — the circuit is small enough not to need a library
+const cx  = (re, im = 0) => ({ re, im });
+const add = (a, b) => cx(a.re + b.re, a.im + b.im);
+const mul = (a, b) => cx(a.re*b.re - a.im*b.im, a.re*b.im + a.im*b.re);
+const div = (a, b) => { const d = b.re*b.re + b.im*b.im; return cx((a.re*b.re + a.im*b.im)/d, (a.im*b.re - a.re*b.im)/d); };
+const par = (a, b) => div(mul(a, b), add(a, b));
+const mag = (a) => Math.hypot(a.re, a.im);
+
+// friction + windage torque, taken as proportional to speed
+const fwTorque = (wr, Pfw = MOTOR.Pfw) => Pfw / Math.pow(MOTOR.ratedSpeed * Math.PI / 30, 2) * wr;
+
+// Evaluate the circuit at a given slip. `p` may override any MOTOR parameter
+// (the fault engine uses this, e.g. a higher R2 for broken bars).
+export function evalSlip(s, { voltage = MOTOR.ratedVoltage, freq = MOTOR.ratedFreq, p = {} } = {}) {
+  const m  = { ...MOTOR, ...p };
+  const k  = freq / MOTOR.ratedFreq;
+  const Vph = cx(voltage / Math.sqrt(3));
+  const Z1 = cx(m.R1, m.X1 * k);
+  const Z2 = cx(m.R2 / s, m.X2 * k);
+  const Zm = par(cx(m.Rc), cx(0, m.Xm * k));
+  const I1 = div(Vph, add(Z1, par(Zm, Z2)));
+  const E  = mul(I1, par(Zm, Z2));
+  const I2 = div(E, Z2);
+  const ws = 4 * Math.PI * freq / m.poles;  // synchronous speed (rad/s, mech)
+  const wr = (1 - s) * ws;
+
+  const Pin  = 3 * Vph.re * I1.re;
+  const Pcu1 = 3 * mag(I1) ** 2 * m.R1;
+  const Pcore = 3 * mag(E) ** 2 / m.Rc;
+  const Pag  = 3 * mag(I2) ** 2 * m.R2 / s;
+  const Pcu2 = s * Pag;
+  const Tem  = Pag / ws;
+  const Tfw  = fwTorque(wr, m.Pfw);
+  const Pout = (Tem - Tfw) * wr;
+
+  return {
+    slip: s, wr, rpm: wr * 30 / Math.PI, torque: Tem, shaftTorque: Tem - Tfw,
+    current: mag(I1), pf: I1.re / mag(I1),
+    Pin, Pout, efficiency: Pin > 0 ? Math.max(0, Pout / Pin) : 0,
+    losses: { statorCu: Pcu1, rotorCu: Pcu2, core: Pcore, mech: Tfw * wr },
+  };
+}
+
+// Operating point for a constant shaft load torque (N·m). Bisects slip on the
+// stable side of the torque curve (between no-load and breakdown). If the load
+// exceeds breakdown torque the motor stalls and the locked-rotor point is returned.
+export function solveSteadyState({ voltage = MOTOR.ratedVoltage, freq = MOTOR.ratedFreq, loadTorque = ratedTorque(), p = {} } = {}) {
+  const opts = { voltage, freq, p };
+  const net = (s) => { const o = evalSlip(s, opts); return o.shaftTorque - loadTorque; };
+
+  // breakdown slip: coarse scan for peak torque
+  let sBd = 0.05, tBd = -Infinity;
+  for (let s = 0.005; s <= 1; s += 0.005) {
+    const t = evalSlip(s, opts).torque;
+    if (t > tBd) { tBd = t; sBd = s; }
+  }
+  if (net(sBd) < 0) return { ...evalSlip(1, opts), stalled: true, breakdownTorque: tBd };
+
+  let lo = 1e-6, hi = sBd;
+  for (let i = 0; i < 60; i++) {
+    const mid = 0.5 * (lo + hi);
+    if (net(mid) < 0) lo = mid; else hi = mid;
+  }
+  return { ...evalSlip(hi, opts), stalled: false, breakdownTorque: tBd, loadTorque };
+}
+
+// Operating point with a series resistance Rf (Ω) in line L3 and an isolated
+// star point — a loose terminal, or single-phasing when Rf → ∞. With L3 as the
+// reference phase, the fault couples the sequence networks through
+//   δ = (Rf/3)·E/Z1 / (1 + (Rf/3)·(1/Z1 + 1/Z2)),   I1 = (E − δ)/Z1,   I2 = −δ/Z2
+// where Z1, Z2 are the motor input impedances at slip s and 2 − s. The
+// negative-sequence torque brakes the shaft, so slip is iterated.
+// Adds sequence currents i1/i2 and per-phase currents (RMS A, rad; L1 = 0°).
+export function solveLineFault({ voltage = MOTOR.ratedVoltage, freq = MOTOR.ratedFreq, loadTorque = ratedTorque(), p = {}, Rf = 0 } = {}) {
+  const E = voltage / Math.sqrt(3);
+  const zin = (o, v) => div(cx(v), cx(o.current * o.pf, -o.current * Math.sin(Math.acos(o.pf))));
+  let op = solveSteadyState({ voltage, freq, loadTorque, p });
+  let i1 = div(cx(E), zin(op, E)), i2 = cx(0), d = cx(0);
+  if (Rf > 0) {
+    let V1 = E, Tneg = 0;
+    for (let k = 0; k < 8 && !op.stalled; k++) {
+      op = solveSteadyState({ voltage: V1 * Math.sqrt(3), freq, loadTorque: loadTorque + Tneg, p });
+      const neg = evalSlip(2 - op.slip, { voltage, freq, p });
+      const Z1 = zin(op, V1), Z2 = zin(neg, E), r = cx(Rf / 3);
+      d = div(div(mul(r, cx(E)), Z1), add(cx(1), mul(r, add(div(cx(1), Z1), div(cx(1), Z2)))));
+      V1 = mag(add(cx(E), mul(cx(-1), d)));
+      i1 = div(add(cx(E), mul(cx(-1), d)), Z1);
+      i2 = div(mul(cx(-1), d), Z2);
+      Tneg = neg.torque * (mag(d) / E) ** 2;
+    }
+  }
+  // L3-referenced sequence currents → phase currents, rotated so L1's source is at 0°
+  const rot = (m, a) => mul(m, cx(Math.cos(a), Math.sin(a)));
+  const A = 2 * Math.PI / 3;
+  const phases = [[-A, A], [A, -A], [0, 0]].map(([a1, a2]) => {
+    const i = rot(add(rot(i1, a1), rot(i2, a2)), A);
+    return { amp: mag(i), ang: Math.atan2(i.im, i.re) };
+  });
+  return { ...op, i1, i2, phases, faultLoss: phases[2].amp ** 2 * Rf };
+}
@@ -0,0 +1,78 @@
+// ─── SHAFT ORBIT ──────────────────────────────────────
+// Radial shaft displacement (µm) at each bearing, as a pair of proximity
+// probes would trace it. The shape comes from the vibration model's
+// shaft-speed harmonics, integrated from velocity to displacement:
+//   • 1× is a forward, slightly elliptical whirl (unbalance);
+//   • misalignment adds 2× and 3× and turns the fan end towards antiphase
+//     with the drive end, so the rotor wobbles rather than translates;
+//   • dynamic eccentricity adds the rotor's own offset turning at 1×, static
+//     eccentricity a fixed offset of its centre in the air gap;
+//   • broken bars beat the 1× whirl at pole-pass frequency.
+// A measured bearing velocity (mm/s RMS) rescales the vibration part so the
+// orbit matches what the sensor reads. x is horizontal, y vertical.
+
+import { MOTOR } from "./motor";
+import { vibrationModel, vibrationRms } from "./faults";
+
+export const AIR_GAP = 300;   // µm, radial air gap of the DRE100 frame
+const ELLIPSE = 0.7;          // vertical / horizontal whirl axis: the feet make the frame stiffer vertically
+
+const sev = (faults, type) => faults.filter(f => f.type === type).reduce((s, f) => s + f.severity, 0);
+
+// Orbit at one bearing: { fr, comps: [{ h, a, b, phase, beats }], offset: [x, y], beat }.
+// A component traces a·cos(hθ + phase), b·sin(hθ + phase) at shaft angle θ.
+// Without an operating point (recorded data) it is a plain 1× whirl at `rpm`
+// sized to the measured velocity.
+export function shaftOrbit(loc, { op, faults = [], rpm, measured }) {
+  const fr = (op ? op.rpm : rpm) / 60;
+  if (!(fr > 0)) return { fr: 0, comps: [], offset: [0, 0], beat: null };
+  const disp = (v, h) => 1000 * v / (2 * Math.PI * h * fr);   // mm/s peak → µm peak
+  const whirl = (h, v, phase = 0, beats = false) => ({ h, a: disp(v, h), b: ELLIPSE * disp(v, h), phase, beats });
+
+  if (!op) return { fr, comps: measured ? [whirl(1, measured * Math.SQRT2)] : [], offset: [0, 0], beat: null };
+
+  const model = vibrationModel(op, faults, loc);
+  const amp = (src) => model.tones.filter(t => t.src === src).reduce((s, t) => s + t.amp, 0);
+  const k = measured != null ? measured / vibrationRms(model) : 1;
+  const a1 = k * amp("1x");
+  // share of 1× that misalignment causes, which swings the fan end out of phase
+  const mis = sev(faults, "misalignment") * (loc === "bearing_drive" ? 1 : 0.5);
+  const tilt = loc === "bearing_fan" && a1 > 0 ? Math.PI * Math.min(1, 3 * k * mis / a1) : 0;
+  const ed = sev(faults, "ecc_dynamic") / 100 * AIR_GAP;
+  const nb = amp("broken_bars");
+  return {
+    fr,
+    comps: [
+      whirl(1, a1, tilt, true), whirl(2, k * amp("2x"), 2 * tilt), whirl(3, k * amp("3x"), 3 * tilt),
+      { h: 1, a: ed, b: ed, phase: 0, beats: false },
+    ].filter(c => c.a > 0),
+    offset: [0, -sev(faults, "ecc_static") / 100 * AIR_GAP],   // the rotor sits low in the bore
+    beat: nb > 0 ? { f: 2 * op.slip * MOTOR.ratedFreq, depth: Math.min(1, nb / amp("1x")) } : null,
+  };
+}
+
+// displacement [x, y] (µm) at shaft angle θ (rad) and time t (s)
+export function orbitPoint(o, theta, t) {
+  const m = o.beat ? 1 + o.beat.depth * Math.cos(2 * Math.PI * o.beat.f * t) : 1;
+  let x = o.offset[0], y = o.offset[1];
+  o.comps.forEach(({ h, a, b, phase, beats }) => {
+    const g = beats ? m : 1;
+    x += g * a * Math.cos(h * theta + phase);
+    y += g * b * Math.sin(h * theta + phase);
+  });
+  return [x, y];
+}
+
+// The orbit over two revolutions, or over one beat when broken bars make it
+// breathe (at most 40 revolutions), and the once-per-turn keyphasor marks.
+export function orbitPath(o, perRev = 48) {
+  if (!o.fr) return { points: [], marks: [] };
+  const revs = o.beat ? Math.min(40, Math.max(2, Math.round(o.fr / o.beat.f))) : 2;
+  const points = [], marks = [];
+  for (let i = 0; i <= revs * perRev; i++) {
+    const theta = 2 * Math.PI * i / perRev, p = orbitPoint(o, theta, theta / (2 * Math.PI * o.fr));
+    points.push(p);
+    if (i % perRev === 0) marks.push(p);
+  }
+  return { points, marks };
+}
@@ -0,0 +1,108 @@
+// ─── SENSOR SYNTHESIS ─────────────────────────────────
+// Turns a motor operating point into the values the dashboard shows:
+// per-phase current, vibration velocity and temperature for every component.
+
+import { MOTOR, solveLineFault, ratedTorque } from "./motor";
+import { faultEffects, faultsAt, currentModel, vibrationModel, vibrationRms } from "./faults";
+import { thermalInputs, steadyTemps, stepThermal, componentTemps } from "./thermal";
+
+export const SUPPLY = { voltage: MOTOR.ratedVoltage, freq: MOTOR.ratedFreq };
+
+// small seeded PRNG (mulberry32) so generated runs are reproducible
+export function rng(seed = 1) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Shaft load seen by the motor over time: ~90 % rated with slow process swings.
+export const loadProfile = (t) =>
+  ratedTorque() * (0.9 + 0.06 * Math.sin(t * 2 * Math.PI / 40) + 0.03 * Math.sin(t * 2 * Math.PI / 13));
+
+// which bearing measurement each component's vibration is read from, and how strongly
+const VIB_SOURCE = {
+  shaft: ["bearing_drive", 0.8], bearing_drive: ["bearing_drive", 1.0], rotor_bars: [null, 0.9], stator_winding: ["bearing_drive", 0.35],
+  bearing_fan: ["bearing_fan", 1.0], housing: [null, 0.7], fan_guard: ["bearing_fan", 0.9], junction_box: [null, 0.15],
+};
+
+export const COMPONENT_IDS = Object.keys(VIB_SOURCE);
+
+// Operating point with the injected faults applied to the motor and supply.
+export function operatingPoint(t, { supply = SUPPLY, load = loadProfile, faults = [] } = {}) {
+  const fx = faultEffects(faults);
+  const op = solveLineFault({ ...supply, loadTorque: load(t), p: fx.p, Rf: fx.Rf });
+  return { op, fx };
+}
+
+// One sample of every signal at time t (s). `thermal` is the node-temperature
+// state carried from the previous sample, `dt` seconds ago; without it the
+// network starts at equilibrium for the present load.
+export function sampleAt(t, { supply = SUPPLY, load = loadProfile, faults = [], rand = Math.random, thermal = null, dt = 1 } = {}) {
+  const { op, fx } = operatingPoint(t, { supply, load, faults });
+  const cur = currentModel(op, faults, supply.freq);
+  const vib = {
+    bearing_drive: vibrationRms(vibrationModel(op, faults, "bearing_drive", supply.freq)),
+    bearing_fan:   vibrationRms(vibrationModel(op, faults, "bearing_fan", supply.freq)),
+  };
+  // negative-sequence current heats stator and rotor copper; a loose L3 contact heats the terminal box
+  const i2 = Math.hypot(cur.negSeq.re, cur.negSeq.im);
+  const heat = { ...fx.heat };
+  heat.stator_winding += 3 * i2 * i2 * MOTOR.R1;
+  heat.rotor_bars     += 3 * i2 * i2 * MOTOR.R2;
+  const inputs = thermalInputs(op, heat);
+  const nodes = thermal ? stepThermal(thermal, inputs, dt) : steadyTemps(inputs);
+  const temps = componentTemps(nodes, { junction_box: op.faultLoss });
+  const noise = (k) => 1 + (rand() - 0.5) * k;
+
+  const components = {};
+  Object.entries(VIB_SOURCE).forEach(([id, [loc, g]]) => {
+    const v = loc ? vib[loc] : (vib.bearing_drive + vib.bearing_fan) / 2;
+    components[id] = { temp: temps[id] * noise(0.01), vibration: v * g * noise(0.08) };
+  });
+  return {
+    t, op, components, thermal: nodes,
+    rpm: op.rpm,
+    phaseA: cur.phases[0].amp * noise(0.01),
+    phaseB: cur.phases[1].amp * noise(0.01),
+    phaseC: cur.phases[2].amp * noise(0.01),
+    vibration: components.bearing_drive.vibration,
+    temperature: components.stator_winding.temp,
+  };
+}
+
+// Stateful sampler for a running twin: carries the PRNG and thermal state from
+// one sample to the next. Faults can be swapped while it runs.
+export function createSampler({ seed = 7, faults = [], ...opts } = {}) {
+  const rand = rng(seed);
+  let thermal = null, last = null, current = faults;
+  return {
+    setFaults(f) { current = f; },
+    next(t) {
+      const d = sampleAt(t, { rand, thermal, dt: last === null ? 1 : t - last, faults: current, ...opts });
+      thermal = d.thermal; last = t;
+      return d;
+    },
+  };
+}
+
+export function generateSeries(n = 60, { dt = 1, ...opts } = {}) {
+  const sampler = createSampler(opts);
+  return Array.from({ length: n }, (_, i) => sampler.next(i * dt));
+}
+
+// Condition history over the past `days`, one snapshot every `step` days, with
+// the injected faults rolled back along their growth curves. Snapshots are at
+// thermal equilibrium. t is in days, 0 = now.
+export function generateHistory(days = 30, step = 0.5, { seed = 11, faults = [], ...opts } = {}) {
+  const rand = rng(seed);
+  const n = Math.round(days / step);
+  return Array.from({ length: n + 1 }, (_, i) => {
+    const t = -days + i * step;
+    return { ...sampleAt(t * 86400, { rand, faults: faultsAt(faults, t), ...opts }), t };
+  });
+}
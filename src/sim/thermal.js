@@ -0,0 +1,100 @@
+// ─── LUMPED THERMAL NETWORK ───────────────────────────
+// Five-node RC network (winding, rotor, both bearings, housing/fins) with
+// ambient as the boundary. Heat comes from the motor loss breakdown plus any
+// fault heat; the shaft-mounted fan makes the housing and fan-side convection
+// speed dependent, so a stopped motor cools far more slowly than a running one.
+
+import { MOTOR } from "./motor";
+
+export const AMBIENT = 30; // °C
+
+// maximum winding (hot-spot) temperature per insulation class, IEC 60034-1
+export const INSULATION = { B: 130, F: 155, H: 180 };
+
+export const NODES = ["stator_winding", "rotor_bars", "bearing_drive", "bearing_fan", "housing"];
+const [W, R, BD, BF, H] = [0, 1, 2, 3, 4];
+
+// heat capacities (J/K)
+const C = [1200, 2300, 300, 300, 18000];
+
+// Node-to-node conductances (W/K) and conductances to ambient, at a given
+// speed ratio n/n_rated. Forced convection scales with (n/n_rated)^0.8.
+function network(k) {
+  const fan = Math.pow(Math.max(0, k), 0.8);
+  const G = [
+    [W, H, 8],
+    [R, H, 1.4 + 1.4 * fan],   // across the air gap, stirred by the rotor
+    [R, BD, 0.6], [R, BF, 0.6], // along the shaft
+    [BD, H, 1.2], [BF, H, 1.2], // through the end shields
+  ];
+  const Ga = [0, 0, 0.15, 0.15 + 0.5 * fan, 2 + 6 * fan];
+  return { G, Ga };
+}
+
+// Heat input (W) per node from an operating point and extra fault heat.
+export function thermalInputs(op, heat = {}) {
+  const { statorCu, rotorCu, core, mech } = op.losses;
+  return {
+    k: op.rpm / MOTOR.ratedSpeed,
+    Q: [
+      statorCu + (heat.stator_winding || 0),
+      rotorCu + (heat.rotor_bars || 0),
+      0.3 * mech + (heat.bearing_drive || 0),
+      0.3 * mech + (heat.bearing_fan || 0),
+      core, // stator iron sits with the housing; the rest of windage leaves with the air
+    ],
+  };
+}
+
+// dT/dt for every node
+function rates(T, { k, Q }, amb) {
+  const { G, Ga } = network(k);
+  const q = Q.map((v, i) => v - Ga[i] * (T[i] - amb));
+  G.forEach(([a, b, g]) => { const f = g * (T[a] - T[b]); q[a] -= f; q[b] += f; });
+  return q.map((v, i) => v / C[i]);
+}
+
+// Equilibrium temperatures for constant inputs (solves G·T = Q by elimination).
+export function steadyTemps(inputs, amb = AMBIENT) {
+  const n = NODES.length, { G, Ga } = network(inputs.k);
+  const A = Array.from({ length: n }, (_, i) => Array.from({ length: n + 1 }, (_, j) => (j === i ? Ga[i] : 0)));
+  G.forEach(([a, b, g]) => { A[a][a] += g; A[b][b] += g; A[a][b] -= g; A[b][a] -= g; });
+  inputs.Q.forEach((q, i) => { A[i][n] = q; });
+  for (let i = 0; i < n; i++) {
+    for (let r = i + 1; r < n; r++) {
+      const f = A[r][i] / A[i][i];
+      for (let c = i; c <= n; c++) A[r][c] -= f * A[i][c];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let i = n - 1; i >= 0; i--) {
+    let s = A[i][n];
+    for (let c = i + 1; c < n; c++) s -= A[i][c] * x[c];
+    x[i] = s / A[i][i];
+  }
+  return x.map(v => v + amb);
+}
+
+// Advance the node temperatures by dt seconds (explicit Euler, sub-stepped well
+// inside the fastest node time constant).
+export function stepThermal(T, inputs, dt, amb = AMBIENT) {
+  const steps = Math.ceil(dt / 5);
+  let x = T;
+  for (let s = 0; s < steps; s++) {
+    const d = rates(x, inputs, amb);
+    x = x.map((v, i) => v + d[i] * dt / steps);
+  }
+  return x;
+}
+
+// Temperatures for every dashboard component; the ones without their own node
+// are read off their neighbours.
+export function componentTemps(T, { junction_box = 0 } = {}, amb = AMBIENT) {
+  const t = Object.fromEntries(NODES.map((id, i) => [id, T[i]]));
+  return {
+    ...t,
+    shaft:        (t.rotor_bars + t.bearing_drive) / 2,
+    fan_guard:    amb + 0.3 * (t.housing - amb),
+    junction_box: amb + 0.4 * (t.housing - amb) + 1.2 * junction_box,
+  };
+}
@@ -0,0 +1,45 @@
+// ─── WAVEFORM SYNTHESIS ───────────────────────────────
+// Sampled time signals from the fault-aware vibration and current models,
+// for the spectral views. `t0` lets successive blocks join up seamlessly.
+
+export const VIB_FS = 8192; // Hz — covers the bearing housing resonances
+export const CUR_FS = 2048; // Hz — covers the rotor slot harmonics
+
+// velocity waveform (mm/s)
+export function synthVibration({ tones, impacts, noise }, { fs = VIB_FS, n = 8192, t0 = 0, rand = Math.random } = {}) {
+  const x = new Float64Array(n);
+  tones.forEach(({ f, amp }, k) => {
+    const ph = k * 1.7; // fixed, arbitrary phase per tone
+    for (let i = 0; i < n; i++) x[i] += amp * Math.sin(2 * Math.PI * f * (t0 + i / fs) + ph);
+  });
+  impacts.forEach(({ rate, amp, fn, zeta, modFreq, modDepth }) => {
+    const wn = 2 * Math.PI * fn, wd = wn * Math.sqrt(1 - zeta * zeta);
+    const ring = Math.ceil(5 / (zeta * wn) * fs); // samples until the burst has died out
+    const T = t0 + n / fs;
+    for (let k = Math.ceil(t0 * rate - ring / fs * rate); k / rate < T; k++) {
+      const tk = k / rate + (rand() - 0.5) * 0.02 / rate; // ~1 % slip jitter between impacts
+      const a = amp * (1 - modDepth / 2 + modDepth / 2 * Math.cos(2 * Math.PI * modFreq * tk));
+      const i0 = Math.ceil((tk - t0) * fs);
+      for (let i = Math.max(0, i0); i < Math.min(n, i0 + ring); i++) {
+        const tau = t0 + i / fs - tk;
+        x[i] += a * Math.exp(-zeta * wn * tau) * Math.sin(wd * tau);
+      }
+    }
+  });
+  for (let i = 0; i < n; i++) x[i] += noise * Math.sqrt(-2 * Math.log(rand() || 1e-12)) * Math.cos(2 * Math.PI * rand());
+  return x;
+}
+
+// three phase currents (A) — fundamental phasors plus relative tones
+export function synthCurrents({ phases, tones }, { fs = CUR_FS, n = 8192, t0 = 0, freq = 60, rand = Math.random } = {}) {
+  return phases.map(({ amp, ang }, p) => {
+    const x = new Float64Array(n), pk = Math.SQRT2 * amp, shift = p * 2 * Math.PI / 3;
+    for (let i = 0; i < n; i++) {
+      const t = t0 + i / fs;
+      let v = pk * Math.cos(2 * Math.PI * freq * t + ang);
+      tones.forEach(({ f, rel, seq }, k) => { v += pk * rel * Math.cos(2 * Math.PI * f * t + k * 0.9 - seq * shift); });
+      x[i] = v + (rand() - 0.5) * 0.002 * pk;
+    }
+    return x;
+  });
+}
@@ -0,0 +1,10 @@
+// ─── THEME ────────────────────────────────────────────
+export const T = {
+  bg: "#030810", surface: "#070e1a", card: "#0a1628", cardBorder: "#0f2a4a",
+  accent: "#00b4d8", accentDim: "#0077a8", warn: "#f5a623", danger: "#ff4757",
+  good: "#2ed573", text: "#c5dce8", textDim: "#5a7a8e", textMuted: "#2e4a5e",
+};
+
+export const STATUS_COLOR = { good: T.good, warning: T.warn, critical: T.danger };
+// alarm priorities (src/data/alarms.js)
+export const PRIORITY_COLOR = { urgent: T.danger, high: T.danger, medium: T.warn, low: T.accent };